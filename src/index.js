@@ -1,11 +1,31 @@
-const { VueDataObjectPathSyntaxError } = require('./string-path-parser');
+const { VueDataObjectPathSyntaxError, parsePathAst, parsePartialPath } = require('./string-path-parser');
 const { VueDataObjectPathError } = require('./vue-data-object-path-error');
 const { VueDataObjectPath } = require('./vue-data-object-path');
+const { Wildcard, Slice, Filter, Placeholder, OptionalChain, Reference, Pick } = require('./path-segments');
+const { stringifyPath, normalizePath } = require('./string-path-stringifier');
+const { pathCache } = require('./path-cache');
+const { path } = require('./path-template');
+const { jsonPointer, toJsonPointer } = require('./json-pointer');
+const { useObjectPath, setVue } = require('./use-object-path');
+const { createVuexPlugin } = require('./vuex-plugin');
+const { createPiniaPlugin } = require('./pinia-plugin');
 
 // Whether the Vue plugin has been installed.
 let installed = false;
 
-exports.install = function (Vue) {
+/**
+ * Installs the plugin. Receives the Vue constructor in Vue 2 (Vue.use) and
+ * the application in Vue 3 (app.use).
+ * @param {Vue|App} Vue
+ * @param {object=} options - Same options as the VueDataObjectPath
+ * constructor.
+ */
+exports.install = function (Vue, options = {}) {
+  if (Vue.config && Vue.config.globalProperties) {
+    installVue3(Vue, options);
+    return;
+  }
+
   if (installed) {
     // Already installed. There is nothing to do.
     return;
@@ -13,13 +33,79 @@ exports.install = function (Vue) {
 
   Vue.mixin({
     beforeCreate() {
-      this.$op = this.$objectPath = new VueDataObjectPath(this);
+      this.$op = this.$objectPath = new VueDataObjectPath(this, options);
     }
   });
 
+  setVue(Vue);
+
   installed = true;
 };
 
+/**
+ * Installs the plugin in a Vue 3 application. Every application has to be
+ * set up separately.
+ * @param {App} app
+ * @param {object} options
+ */
+function installVue3(app, options) {
+  let globalProperties = app.config.globalProperties;
+
+  if ('$objectPath' in globalProperties) {
+    // Already installed. There is nothing to do.
+    return;
+  }
+
+  // Declares the properties for every component. Each component replaces
+  // them with its own instance when it is created.
+  globalProperties.$op = globalProperties.$objectPath = null;
+
+  app.mixin({
+    beforeCreate() {
+      // Each component needs its own instance because it works on its data.
+      this.$op = this.$objectPath = new VueDataObjectPath(this, options);
+    }
+  });
+}
+
+exports.for = VueDataObjectPath.for;
+
+exports.useObjectPath = useObjectPath;
+
+exports.createVuexPlugin = createVuexPlugin;
+
+exports.createPiniaPlugin = createPiniaPlugin;
+
+exports.stringifyPath = stringifyPath;
+
+exports.normalizePath = normalizePath;
+
+exports.parsePathAst = parsePathAst;
+
+exports.parsePartialPath = parsePartialPath;
+
+exports.pathCache = pathCache;
+
+exports.path = path;
+
+exports.jsonPointer = jsonPointer;
+
+exports.toJsonPointer = toJsonPointer;
+
 exports.VueDataObjectPathError = VueDataObjectPathError;
 
 exports.VueDataObjectPathSyntaxError = VueDataObjectPathSyntaxError;
+
+exports.Wildcard = Wildcard;
+
+exports.Slice = Slice;
+
+exports.Filter = Filter;
+
+exports.Placeholder = Placeholder;
+
+exports.OptionalChain = OptionalChain;
+
+exports.Reference = Reference;
+
+exports.Pick = Pick;
@@ -0,0 +1,136 @@
+const { VueDataObjectPathSyntaxError, setLocation, parseStringPath } = require('./string-path-parser');
+const { VueDataObjectPathError } = require('./vue-data-object-path-error');
+
+/**
+ * Array indexes as described by RFC 6901. Leading zeros are not allowed.
+ */
+const arrayIndex = /^(0|[1-9][0-9]*)$/;
+
+/**
+ * A path written as a JSON Pointer (RFC 6901), such as /user/addresses/0.
+ * Wrapping the string tells $objectPath that it is not a regular string path.
+ */
+class JsonPointer {
+  /**
+   * @throws {VueDataObjectPathSyntaxError}
+   * @param {string} pointer
+   */
+  constructor(pointer) {
+    /**
+     * The pointer as it was written.
+     * @member {string}
+     */
+    this.pointer = pointer;
+
+    /**
+     * The keys the pointer refers to.
+     * @member {(string|number)[]}
+     */
+    this.path = Object.freeze(parseJsonPointer(pointer));
+  }
+}
+
+/**
+ * Turns a JSON Pointer into an array path. Segments that are array indexes
+ * become numbers, so that writing to them creates arrays just like bracket
+ * notation does.
+ * @throws {VueDataObjectPathSyntaxError}
+ * @param {string} pointer
+ * @returns {(string|number)[]}
+ */
+function parseJsonPointer(pointer) {
+  if (typeof pointer !== 'string') {
+    throw new VueDataObjectPathError('JSON Pointer must be a string.');
+  }
+
+  if (pointer === '') {
+    // Refers to the whole document.
+    return [];
+  }
+
+  if (pointer[0] !== '/') {
+    let error = new VueDataObjectPathSyntaxError('JSON Pointer must start with /.');
+    setLocation(error, 0, 0);
+    throw error;
+  }
+
+  let path = [];
+  let pos = 1;
+
+  for (let segment of pointer.slice(1).split('/')) {
+    let key = '';
+
+    for (let i = 0; i < segment.length; i++) {
+      if (segment[i] !== '~') {
+        key += segment[i];
+      } else if (segment[i + 1] === '0') {
+        key += '~';
+        i += 1;
+      } else if (segment[i + 1] === '1') {
+        key += '/';
+        i += 1;
+      } else {
+        let error = new VueDataObjectPathSyntaxError('Invalid escape sequence.');
+        setLocation(error, pos + i, pos + i + 2);
+        throw error;
+      }
+    }
+
+    path.push(arrayIndex.test(key) && Number.isSafeInteger(Number(key)) ? Number(key) : key);
+
+    // Skips the segment and the slash that follows.
+    pos += segment.length + 1;
+  }
+
+  return path;
+}
+
+/**
+ * Writes a path as a JSON Pointer.
+ * @throws {VueDataObjectPathError} - If a key cannot be written.
+ * @param {string|any[]} path
+ * @returns {string}
+ */
+function toJsonPointer(path) {
+  if (typeof path === 'string') {
+    path = parseStringPath(path);
+  } else if (path instanceof JsonPointer) {
+    return path.pointer;
+  } else if (!(path instanceof Array)) {
+    throw new VueDataObjectPathError('Path must be an array or a string.');
+  }
+
+  return path.map((key) => {
+    if (typeof key === 'number') {
+      if (!Number.isSafeInteger(key) || key < 0) {
+        throw new VueDataObjectPathError('Only indexes that are not negative can be written in a JSON Pointer.');
+      }
+
+      return '/' + key;
+    } else if (typeof key === 'string') {
+      // The order matters. Tildes that come from slashes must stay as they
+      // are.
+      return '/' + key.replace(/~/g, '~0').replace(/\//g, '~1');
+    } else {
+      throw new VueDataObjectPathError('Path segment cannot be written as a JSON Pointer.');
+    }
+  }).join('');
+}
+
+/**
+ * Marks a string as a JSON Pointer so that it can be passed to $objectPath.
+ * @throws {VueDataObjectPathSyntaxError}
+ * @param {string} pointer
+ * @returns {JsonPointer}
+ */
+function jsonPointer(pointer) {
+  return new JsonPointer(pointer);
+}
+
+exports.JsonPointer = JsonPointer;
+
+exports.parseJsonPointer = parseJsonPointer;
+
+exports.toJsonPointer = toJsonPointer;
+
+exports.jsonPointer = jsonPointer;
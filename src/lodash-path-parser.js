@@ -0,0 +1,100 @@
+/**
+ * Same regular expression that lodash uses to split paths. Matches a property
+ * name, a number or string in brackets, or the empty key between consecutive
+ * dots and empty brackets.
+ */
+const rePropName = /[^.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|$))/g;
+
+/**
+ * Backslashes escape the character that follows them in strings.
+ */
+const reEscapeChar = /\\(\\)?/g;
+
+/**
+ * Splits a path exactly like lodash's toPath does. Every key is a string and
+ * the path never fails to parse.
+ * @param {string} path
+ * @returns {string[]}
+ */
+function parseLodashPath(path) {
+  let result = [];
+
+  if (path[0] === '.') {
+    // A leading dot introduces an empty key.
+    result.push('');
+  }
+
+  path.replace(rePropName, (match, number, quote, subString) => {
+    result.push(quote ? subString.replace(reEscapeChar, '$1') : (number || match));
+  });
+
+  return result;
+}
+
+/**
+ * Parses a lodash path that is still being typed, like parsePartialPath does
+ * for the JavaScript syntax. The last segment is incomplete unless it ends
+ * with a closing bracket. Its kind is root, dot, bracket (bracket notation
+ * without quotes) or bracketString.
+ * @param {string} path
+ * @returns {{ path: string[], partial: { kind: string, text: string, from: number }|null }}
+ */
+function parseLodashPartialPath(path) {
+  // The segment that is being typed. Null after a closing bracket.
+  let kind = 'root';
+  let from = 0;
+  let textFrom = 0;
+  let quote = null;
+
+  for (let i = 0; i < path.length; i++) {
+    let char = path[i];
+
+    if (quote !== null) {
+      if (char === '\\') {
+        // Skips the escaped character.
+        i += 1;
+      } else if (char === quote && path[i + 1] === ']') {
+        quote = null;
+        kind = null;
+        i += 1;
+      }
+    } else if (char === '.') {
+      kind = 'dot';
+      from = i;
+      textFrom = i + 1;
+    } else if (char === '[' && (path[i + 1] === '"' || path[i + 1] === '\'')) {
+      kind = 'bracketString';
+      from = i;
+      textFrom = i + 2;
+      quote = path[i + 1];
+      i += 1;
+    } else if (char === '[') {
+      kind = 'bracket';
+      from = i;
+      textFrom = i + 1;
+    } else if (char === ']') {
+      kind = null;
+    } else if (kind === null) {
+      // A key right after a closing bracket.
+      kind = 'dot';
+      from = i;
+      textFrom = i;
+    }
+  }
+
+  if (kind === null) {
+    return { path: parseLodashPath(path), partial: null };
+  }
+
+  let complete = path.slice(0, from);
+
+  return {
+    // A leading dot introduces an empty key.
+    path: complete === '' && kind === 'dot' ? [''] : parseLodashPath(complete),
+    partial: { kind, text: path.slice(textFrom), from },
+  };
+}
+
+exports.parseLodashPath = parseLodashPath;
+
+exports.parseLodashPartialPath = parseLodashPartialPath;
@@ -0,0 +1,146 @@
+const { parseStringPath } = require('./string-path-parser');
+const { VueDataObjectPathError } = require('./vue-data-object-path-error');
+
+/**
+ * Makes an object and everything it references immutable.
+ * @param {any} value
+ * @returns {any} The same value.
+ */
+function deepFreeze(value) {
+  if (typeof value === 'object' && value !== null && !Object.isFrozen(value)) {
+    Object.freeze(value);
+
+    for (let key of Object.keys(value)) {
+      deepFreeze(value[key]);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Remembers the result of parsing string paths. When it is full, the path that
+ * was used the longest time ago is forgotten.
+ */
+class PathCache {
+  /**
+   * @param {number=} maxSize - How many paths can be remembered.
+   */
+  constructor(maxSize = 1000) {
+    /**
+     * How many paths can be remembered.
+     * @member {number}
+     */
+    this.maxSize = maxSize;
+
+    /**
+     * Parsed paths. A Map iterates in insertion order so the first entry is
+     * always the least recently used one.
+     * @member {Map<string, any[]>}
+     */
+    this.entries = new Map();
+
+    /**
+     * Counters for tuning.
+     * @member {number}
+     */
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Parses a string path or retrieves the result of a previous call. The
+   * result is frozen because it is shared.
+   * @throws {VueDataObjectPathSyntaxError}
+   * @param {string} path
+   * @param {object=} options - Same options as parseStringPath.
+   * @returns {any[]}
+   */
+  parse(path, options = {}) {
+    // Options change the result.
+    let key = `${options.dialect || 'javascript'}:${options.strict ? 'strict' : ''}:${path}`;
+
+    if (this.entries.has(key)) {
+      let parsed = this.entries.get(key);
+
+      // Marks it as the most recently used.
+      this.entries.delete(key);
+      this.entries.set(key, parsed);
+
+      this.hits += 1;
+
+      return parsed;
+    }
+
+    this.misses += 1;
+
+    let parsed = deepFreeze(parseStringPath(path, options));
+
+    if (this.maxSize > 0) {
+      this.entries.set(key, parsed);
+      this.evict();
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Changes settings. Shrinking the cache forgets the least recently used
+   * paths right away.
+   * @param {object} settings
+   * @param {number=} settings.maxSize - How many paths can be remembered. 0
+   * disables the cache.
+   */
+  configure(settings) {
+    if (settings.maxSize !== undefined) {
+      if (!Number.isInteger(settings.maxSize) || settings.maxSize < 0) {
+        throw new VueDataObjectPathError('Cache size must be an integer that is not negative.');
+      }
+
+      this.maxSize = settings.maxSize;
+      this.evict();
+    }
+  }
+
+  /**
+   * Reports how well the cache is doing.
+   * @returns {{ size: number, maxSize: number, hits: number, misses: number, evictions: number }}
+   */
+  stats() {
+    return {
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+    };
+  }
+
+  /**
+   * Forgets every path and resets the counters.
+   */
+  clear() {
+    this.entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Forgets least recently used paths until the size limit is respected.
+   */
+  evict() {
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions += 1;
+    }
+  }
+}
+
+exports.PathCache = PathCache;
+
+/**
+ * The cache shared by every VueDataObjectPath instance.
+ */
+exports.pathCache = new PathCache();
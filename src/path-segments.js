@@ -0,0 +1,384 @@
+const { VueDataObjectPathError } = require('./vue-data-object-path-error');
+
+/**
+ * Base class for path segments that may match more than one key. A path that
+ * contains one of these can lead to multiple values.
+ */
+class Selector {
+  /**
+   * Lists the keys that this segment matches.
+   * @param {any} value - The value the segment is applied to.
+   * @returns {(string|number)[][]} Paths relative to value.
+   */
+  match(value) {
+    return [];
+  }
+}
+
+/**
+ * Matches every property of an object or every element of an array.
+ */
+class Wildcard extends Selector {
+  match(value) {
+    if (value instanceof Array) {
+      let paths = [];
+
+      for (let i = 0; i < value.length; i++) {
+        paths.push([i]);
+      }
+
+      return paths;
+    } else if (typeof value === 'object' && value !== null) {
+      return Object.keys(value).map(key => [key]);
+    } else {
+      // Nothing to iterate over.
+      return [];
+    }
+  }
+}
+
+/**
+ * Matches the value it is applied to and every object and array nested inside
+ * of it, at any depth. The segment that follows is then looked up in all of
+ * them.
+ */
+class Descendants extends Selector {
+  match(value) {
+    let paths = [];
+
+    // The same object may be reachable from different places. It is only
+    // visited once, which also protects against circular references.
+    let visited = new Set();
+
+    let visit = (current, path) => {
+      if (typeof current !== 'object' || current === null || visited.has(current)) {
+        return;
+      }
+
+      visited.add(current);
+      paths.push(path);
+
+      for (let [key] of new Wildcard().match(current)) {
+        visit(current[key], path.concat([key]));
+      }
+    };
+
+    visit(value, []);
+
+    return paths;
+  }
+}
+
+/**
+ * Matches a range of elements of an array. The bounds work just like the
+ * arguments of Array.prototype.slice.
+ */
+class Slice extends Selector {
+  /**
+   * @param {number|null} start - Index of the first element. Negative values
+   * count from the end. Null means the beginning of the array.
+   * @param {number|null} end - Index where the range stops, which is not
+   * included. Negative values count from the end. Null means the end of the
+   * array.
+   * @param {number|null} step - Distance between elements. Must be greater than
+   * 0. Null means 1.
+   */
+  constructor(start = null, end = null, step = null) {
+    super();
+
+    if (step !== null && !(step > 0)) {
+      throw new VueDataObjectPathError('Slice step must be greater than 0.');
+    }
+
+    this.start = start;
+    this.end = end;
+    this.step = step;
+  }
+
+  match(value) {
+    if (!(value instanceof Array)) {
+      return [];
+    }
+
+    let length = value.length;
+
+    // Bounds are clamped just like Array.prototype.slice does.
+    let clamp = (bound, fallback) => {
+      if (bound === null) {
+        return fallback;
+      } else if (bound < 0) {
+        return Math.max(length + bound, 0);
+      } else {
+        return Math.min(bound, length);
+      }
+    };
+
+    let start = clamp(this.start, 0);
+    let end = clamp(this.end, length);
+    let step = this.step === null ? 1 : this.step;
+
+    let paths = [];
+
+    for (let i = start; i < end; i += step) {
+      paths.push([i]);
+    }
+
+    return paths;
+  }
+}
+
+/**
+ * Matches the elements of an array or the properties of an object for which
+ * an expression holds true.
+ *
+ * The expression is a tree of plain objects. These are the types of nodes:
+ *
+ * - { type: 'literal', value }: a string, number, boolean or null.
+ * - { type: 'current', path }: follows path starting from the element that is
+ *   being tested.
+ * - { type: 'comparison', operator, left, right }: one of ==, !=, <, <=, >
+ *   or >=. Equality is strict.
+ * - { type: 'logical', operator, left, right }: either && or ||.
+ *
+ * A function that receives the element may be passed instead.
+ */
+class Filter extends Selector {
+  /**
+   * @param {object|function} expression
+   */
+  constructor(expression) {
+    super();
+
+    this.expression = expression;
+  }
+
+  match(value) {
+    return new Wildcard().match(value).filter(([key]) => this.test(value[key]));
+  }
+
+  /**
+   * Checks if an element passes the filter.
+   * @param {any} element
+   * @returns {boolean}
+   */
+  test(element) {
+    if (typeof this.expression === 'function') {
+      return Boolean(this.expression(element));
+    }
+
+    return Boolean(evaluate(this.expression, element));
+  }
+}
+
+/**
+ * Evaluates a filter expression.
+ * @param {object} node - Expression tree.
+ * @param {any} element - What the current node refers to.
+ * @returns {any}
+ */
+function evaluate(node, element) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'current': {
+      let current = element;
+
+      for (let key of node.path) {
+        if (current === null || current === undefined) {
+          return undefined;
+        }
+
+        if (typeof key === 'number' && key < 0 && current instanceof Array) {
+          key = current.length + key;
+        }
+
+        current = current[key];
+      }
+
+      return current;
+    }
+
+    case 'comparison': {
+      let left = evaluate(node.left, element);
+      let right = evaluate(node.right, element);
+
+      if (node.operator === '==') {
+        return left === right;
+      } else if (node.operator === '!=') {
+        return left !== right;
+      }
+
+      // Only values of the same type can be ordered. This prevents surprises
+      // from type coercion.
+      let orderable = (typeof left === 'number' || typeof left === 'string')
+        && typeof left === typeof right;
+
+      if (!orderable) {
+        return false;
+      }
+
+      switch (node.operator) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+      }
+
+      throw new VueDataObjectPathError(`Unknown comparison operator ${node.operator}.`);
+    }
+
+    case 'logical':
+      if (node.operator === '&&') {
+        return evaluate(node.left, element) && evaluate(node.right, element);
+      } else if (node.operator === '||') {
+        return evaluate(node.left, element) || evaluate(node.right, element);
+      }
+
+      throw new VueDataObjectPathError(`Unknown logical operator ${node.operator}.`);
+  }
+
+  throw new VueDataObjectPathError(`Unknown filter expression ${node.type}.`);
+}
+
+/**
+ * Stands for a key that is only known when the path is used. Its value is
+ * looked up by name in an object of bindings.
+ */
+class Placeholder {
+  /**
+   * @param {string} name
+   * @param {string} notation - Either 'dot' or 'bracket'. In dot notation the
+   * value must be a string. In bracket notation it may also be an integer.
+   * @param {number|null} from - Where it starts in a string path.
+   * @param {number|null} to - Where it ends in a string path.
+   */
+  constructor(name, notation = 'bracket', from = null, to = null) {
+    this.name = name;
+    this.notation = notation;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Marks that the segment before it may be missing. Writes stop silently
+ * instead of creating it, just like optional chaining (a?.b) stops
+ * evaluation in JavaScript.
+ */
+class OptionalChain {
+}
+
+/**
+ * Stands for a key that is stored somewhere else in the data object, as in
+ * tabs[activeTabId]. The path is followed when the outer path is used and the
+ * value it leads to becomes the key.
+ */
+class Reference {
+  /**
+   * @param {any[]} path - Must lead to a single value.
+   * @param {number|null} from - Where it starts in a string path.
+   * @param {number|null} to - Where it ends in a string path.
+   */
+  constructor(path, from = null, to = null) {
+    this.path = path;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Selects several keys of the same object or array at once, as in
+ * user.{name,email}. Values are read and written together. Can only be the
+ * last segment of a path.
+ */
+class Pick {
+  /**
+   * @param {(string|number)[]} keys
+   */
+  constructor(keys) {
+    this.keys = keys;
+  }
+
+  /**
+   * Whether the values are collected in an array instead of an object. That
+   * is the case when every key is an index.
+   * @returns {boolean}
+   */
+  isIndexed() {
+    return this.keys.every(key => typeof key === 'number');
+  }
+}
+
+/**
+ * Checks if any segment of a path can match more than one key.
+ * @param {any[]} path
+ * @returns {boolean}
+ */
+function isSelective(path) {
+  return path.some(segment => segment instanceof Selector);
+}
+
+/**
+ * Checks if a path has keys that still need to be bound.
+ * @param {any[]} path
+ * @returns {boolean}
+ */
+function hasPlaceholders(path) {
+  return path.some(segment => segment instanceof Placeholder);
+}
+
+/**
+ * Checks if a path has keys that are looked up in the data object.
+ * @param {any[]} path
+ * @returns {boolean}
+ */
+function hasReferences(path) {
+  return path.some(segment => segment instanceof Reference);
+}
+
+/**
+ * Checks if a path ends by selecting several keys.
+ * @param {any[]} path
+ * @returns {boolean}
+ */
+function isPicked(path) {
+  return path[path.length - 1] instanceof Pick;
+}
+
+/**
+ * Checks if a path descends recursively into its values.
+ * @param {any[]} path
+ * @returns {boolean}
+ */
+function isRecursive(path) {
+  return path.some(segment => segment instanceof Descendants);
+}
+
+exports.Selector = Selector;
+
+exports.Wildcard = Wildcard;
+
+exports.Descendants = Descendants;
+
+exports.Slice = Slice;
+
+exports.Filter = Filter;
+
+exports.Placeholder = Placeholder;
+
+exports.OptionalChain = OptionalChain;
+
+exports.Reference = Reference;
+
+exports.Pick = Pick;
+
+exports.isSelective = isSelective;
+
+exports.hasPlaceholders = hasPlaceholders;
+
+exports.hasReferences = hasReferences;
+
+exports.isPicked = isPicked;
+
+exports.isRecursive = isRecursive;
@@ -0,0 +1,92 @@
+const { pathCache } = require('./path-cache');
+const { VueDataObjectPathError } = require('./vue-data-object-path-error');
+const { VueDataObjectPathSyntaxError, isIdentifierPart } = require('./string-path-parser');
+const { Placeholder } = require('./path-segments');
+
+/**
+ * Checks if a character would join the name of the placeholder that takes the
+ * place of a value.
+ * @param {string|undefined} char - A single code point.
+ * @returns {boolean}
+ */
+function joinsName(char) {
+  // A backslash would start a unicode escape sequence.
+  return char !== undefined && (char === '\\' || isIdentifierPart(char));
+}
+
+/**
+ * Template tag that builds an array path. Interpolated values become keys as
+ * they are, so they never have to be escaped.
+ *
+ *     path`users[${id}].tags[${i}]`
+ *
+ * Values must take the place of a whole key, either in dot or bracket
+ * notation.
+ * @throws {VueDataObjectPathSyntaxError} - If the static parts cannot be
+ * parsed or a value is not a whole key.
+ * @throws {VueDataObjectPathError} - If a value cannot be used as a key.
+ * @param {string[]} strings
+ * @param {...any} values
+ * @returns {any[]}
+ */
+function path(strings, ...values) {
+  // Every value is parsed as a placeholder. Their names must not clash with
+  // placeholders written by hand.
+  let prefix = '$';
+
+  while (strings.some(string => string.includes(':' + prefix))) {
+    prefix += '$';
+  }
+
+  let text = strings[0];
+
+  for (let i = 0; i < values.length; i++) {
+    let before = Array.from(strings[i]).pop();
+    let after = Array.from(strings[i + 1])[0];
+
+    if (joinsName(before) || joinsName(after)) {
+      // The name of the placeholder would change and bind the wrong value.
+      throw new VueDataObjectPathSyntaxError('Interpolated value must take the place of a whole key.');
+    }
+
+    text += ':' + prefix + i + strings[i + 1];
+  }
+
+  let name = new RegExp('^' + prefix.replace(/\$/g, '\\$') + '(\\d+)$');
+  let used = 0;
+
+  let result = pathCache.parse(text).map((segment) => {
+    if (!(segment instanceof Placeholder) || !segment.name.startsWith(prefix)) {
+      return segment;
+    }
+
+    let match = name.exec(segment.name);
+
+    if (match === null || Number(match[1]) >= values.length) {
+      throw new VueDataObjectPathSyntaxError('Interpolated value must take the place of a whole key.');
+    }
+
+    let value = values[Number(match[1])];
+
+    if (segment.notation === 'dot') {
+      if (typeof value !== 'string') {
+        throw new VueDataObjectPathError('Value in dot notation must be a string.');
+      }
+    } else if (typeof value !== 'string' && !Number.isInteger(value)) {
+      throw new VueDataObjectPathError('Value in bracket notation must be an integer or a string.');
+    }
+
+    used += 1;
+
+    return value;
+  });
+
+  if (used !== values.length) {
+    // Values inside of filters or references would be left unbound.
+    throw new VueDataObjectPathSyntaxError('Interpolated value must take the place of a whole key.');
+  }
+
+  return result;
+}
+
+exports.path = path;
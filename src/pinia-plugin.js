@@ -0,0 +1,109 @@
+const { VueDataObjectPath } = require('./vue-data-object-path');
+const { StoreObjectPath, perform, OBJECT_PATH, WRITE } = require('./store-object-path');
+const { getVue } = require('./use-object-path');
+
+// Symbols for private properties.
+const STORE = Symbol();
+const OPERATION = Symbol();
+
+/**
+ * Writes changes to a store with $patch, so that listeners of $subscribe are
+ * notified once per operation. Reads go straight to the state.
+ */
+class PiniaObjectPath extends StoreObjectPath {
+  /**
+   * @param {Store} store
+   * @param {VueDataObjectPath} objectPath - Works on the state of the store.
+   * @param {{ payload: object|null }} operation - Describes the operation that
+   * is being patched in. Shared with bound copies.
+   */
+  constructor(store, objectPath, operation) {
+    super(objectPath);
+
+    this[STORE] = store;
+    this[OPERATION] = operation;
+  }
+
+  /**
+   * Carries out an operation inside of a single patch. Listeners are
+   * notified even if it fails, since part of the state may have changed.
+   * @param {string} method
+   * @param {object} payload - Given to listeners along with the method.
+   * @returns {any} What the method returned.
+   */
+  [WRITE](method, payload) {
+    let previous = this[OPERATION].payload;
+    let result;
+    let error = null;
+
+    this[OPERATION].payload = Object.assign({ method }, payload);
+
+    try {
+      this[STORE].$patch(() => {
+        try {
+          result = perform(this[OBJECT_PATH], method, payload);
+        } catch (e) {
+          // The patch has to finish. Pinia stops reporting changes until it
+          // does.
+          error = e;
+        }
+      });
+    } finally {
+      this[OPERATION].payload = previous;
+    }
+
+    if (error !== null) {
+      throw error;
+    }
+
+    return result;
+  }
+}
+
+// Vue 3 would otherwise wrap helpers in a proxy when they are read from the
+// store.
+Object.defineProperty(PiniaObjectPath.prototype, '__v_skip', { value: true });
+
+/**
+ * Gives the mutations of patches made by $op the payload of the operation,
+ * like patches with objects have. Pinia passes the same mutation object to
+ * every listener, so the ones that are added after this one see it too.
+ * @param {Store} store
+ * @param {{ payload: object|null }} operation
+ */
+function describeMutations(store, operation) {
+  store.$subscribe((mutation) => {
+    if (operation.payload !== null && mutation.type === 'patch function') {
+      mutation.payload = operation.payload;
+    }
+  }, { detached: true, flush: 'sync' });
+}
+
+/**
+ * Creates a Pinia plugin that adds $op and $objectPath to every store. They
+ * work on $state and group the changes of each operation into one call to
+ * $patch. The mutation that listeners of $subscribe receive has a payload
+ * with the name of the method and its arguments, such as
+ * { method: 'set', path, value, bindings }. Operations that fail notify
+ * listeners before throwing the error.
+ *
+ * In Vue 2 the plugin must be installed with Vue.use first.
+ * @param {object=} options - Same options as VueDataObjectPath.for.
+ * @returns {function}
+ */
+function createPiniaPlugin(options = {}) {
+  return function ({ store }) {
+    let defaults = getVue() === null ? {} : { Vue: getVue() };
+    let op = VueDataObjectPath.for(() => store.$state, Object.assign(defaults, options));
+    let operation = { payload: null };
+    let helper = new PiniaObjectPath(store, op, operation);
+
+    describeMutations(store, operation);
+
+    return { $op: helper, $objectPath: helper };
+  };
+}
+
+exports.PiniaObjectPath = PiniaObjectPath;
+
+exports.createPiniaPlugin = createPiniaPlugin;
@@ -0,0 +1,218 @@
+const { VueDataObjectPathError } = require('./vue-data-object-path-error');
+
+// Symbols for private properties.
+const OBJECT_PATH = Symbol();
+const BINDINGS = Symbol();
+const OPERATE = Symbol();
+
+// Symbol of the method that subclasses implement to write to the store.
+const WRITE = Symbol();
+
+/**
+ * Calls the method of $objectPath that an operation names. The payload holds
+ * its arguments by name, as they are handed to the store.
+ */
+const operations = {
+  set: (op, { path, value }) => op.set(path, value),
+
+  delete: (op, { path }) => op.delete(path),
+
+  push: (op, { path, items = [] }) => op.push(path, ...items),
+
+  pop: (op, { path }) => op.pop(path),
+
+  shift: (op, { path }) => op.shift(path),
+
+  unshift: (op, { path, items = [] }) => op.unshift(path, ...items),
+
+  splice: (op, payload) => {
+    let { path, start, deleteCount, items = [] } = payload;
+
+    // Without deleteCount, everything from start is removed.
+    return 'deleteCount' in payload
+      ? op.splice(path, start, deleteCount, ...items)
+      : op.splice(path, start);
+  },
+
+  insert: (op, { path, start, items = [] }) => op.insert(path, start, ...items),
+
+  remove: (op, { path, start, deleteCount }) => op.remove(path, start, deleteCount),
+
+  empty: (op, { path }) => op.empty(path),
+};
+
+/**
+ * Base of the helpers that the store plugins add as $op. Reads go straight to
+ * the state. Each write is described by the name of the method and a payload
+ * with its arguments, which subclasses hand to the store in their WRITE
+ * method.
+ *
+ * Methods take the same arguments and return the same values as the ones of
+ * $objectPath.
+ */
+class StoreObjectPath {
+  /**
+   * @param {VueDataObjectPath} objectPath - Works on the state of the store.
+   */
+  constructor(objectPath) {
+    this[OBJECT_PATH] = objectPath;
+
+    /**
+     * Placeholder values given to the bind method. They are handed to the
+     * store along with the ones passed to each call.
+     * @member {object}
+     */
+    this[BINDINGS] = {};
+  }
+
+  /**
+   * Creates a copy that fills in placeholders with the given values.
+   * @param {object} bindings - Placeholder values by name.
+   * @returns {StoreObjectPath}
+   */
+  bind(bindings) {
+    // Keeps the properties that subclasses added.
+    let bound = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+
+    bound[OBJECT_PATH] = this[OBJECT_PATH].bind(bindings);
+    bound[BINDINGS] = Object.assign({}, this[BINDINGS], bindings);
+
+    return bound;
+  }
+
+  /**
+   * Creates an accessor for a path that leads to a single value. Its set
+   * function writes through the store.
+   * @param {string|any[]} path
+   * @returns {{ get: function, set: function, has: function }}
+   */
+  compile(path) {
+    let compiled = this[OBJECT_PATH].compile(path);
+
+    return {
+      path: compiled.path,
+
+      get: compiled.get,
+
+      set: (value, bindings = {}) => this.set(compiled.path, value, bindings),
+
+      has: compiled.has,
+    };
+  }
+
+  get(path, bindings = {}) {
+    return this[OBJECT_PATH].get(path, bindings);
+  }
+
+  getAll(path, bindings = {}) {
+    return this[OBJECT_PATH].getAll(path, bindings);
+  }
+
+  has(path, bindings = {}) {
+    return this[OBJECT_PATH].has(path, bindings);
+  }
+
+  coalesce(...paths) {
+    return this[OBJECT_PATH].coalesce(...paths);
+  }
+
+  complete(partial, bindings = {}) {
+    return this[OBJECT_PATH].complete(partial, bindings);
+  }
+
+  set(path, value, bindings = {}) {
+    return this[OPERATE]('set', { path, value }, bindings);
+  }
+
+  delete(path, bindings = {}) {
+    return this[OPERATE]('delete', { path }, bindings);
+  }
+
+  push(path, ...items) {
+    return this[OPERATE]('push', { path, items });
+  }
+
+  pop(path, bindings = {}) {
+    return this[OPERATE]('pop', { path }, bindings);
+  }
+
+  shift(path, bindings = {}) {
+    return this[OPERATE]('shift', { path }, bindings);
+  }
+
+  unshift(path, ...items) {
+    return this[OPERATE]('unshift', { path, items });
+  }
+
+  splice(path, start, deleteCount, ...items) {
+    if (arguments.length < 3) {
+      // Removes everything from start, just like the splice method does.
+      return this[OPERATE]('splice', { path, start });
+    }
+
+    return this[OPERATE]('splice', { path, start, deleteCount, items });
+  }
+
+  insert(path, start, ...items) {
+    return this[OPERATE]('insert', { path, start, items });
+  }
+
+  remove(path, start, deleteCount = undefined, bindings = {}) {
+    return this[OPERATE]('remove', { path, start, deleteCount }, bindings);
+  }
+
+  empty(path, bindings = {}) {
+    return this[OPERATE]('empty', { path }, bindings);
+  }
+
+  /**
+   * Adds the bindings to the payload and hands the operation to the store.
+   * @param {string} method
+   * @param {object} payload - Arguments by name.
+   * @param {object=} bindings - Placeholder values passed to the call.
+   * @returns {any} What the method returned.
+   */
+  [OPERATE](method, payload, bindings = {}) {
+    payload.bindings = Object.assign({}, this[BINDINGS], bindings);
+
+    return this[WRITE](method, payload);
+  }
+
+  /**
+   * Hands an operation to the store, which carries it out with perform.
+   * Implemented by subclasses.
+   * @param {string} method
+   * @param {object} payload - Arguments by name, with bindings.
+   * @returns {any} What the method returned.
+   */
+  [WRITE](method, payload) {
+    throw new VueDataObjectPathError('Store does not implement writes.');
+  }
+}
+
+/**
+ * Carries out an operation on an instance of VueDataObjectPath. This is what
+ * the store runs for each write.
+ * @param {VueDataObjectPath} op
+ * @param {string} method
+ * @param {object} payload - Arguments by name, with bindings.
+ * @returns {any} What the method returned.
+ */
+function perform(op, method, payload) {
+  let bindings = payload.bindings === undefined ? {} : payload.bindings;
+
+  // Bound so that placeholders reach array methods that take any number of
+  // items.
+  return operations[method](op.bind(bindings), payload);
+}
+
+exports.StoreObjectPath = StoreObjectPath;
+
+exports.perform = perform;
+
+// Names of the methods that write.
+exports.methods = Object.keys(operations);
+
+exports.OBJECT_PATH = OBJECT_PATH;
+
+exports.WRITE = WRITE;
@@ -1,13 +1,26 @@
 const { VueDataObjectPathError } = require('./vue-data-object-path-error');
+const { Wildcard, Descendants, Slice, Filter, Placeholder, OptionalChain, Reference, Pick, isSelective, isPicked } = require('./path-segments');
+const { parseLodashPath, parseLodashPartialPath } = require('./lodash-path-parser');
 
 class VueDataObjectPathSyntaxError extends VueDataObjectPathError {
-  constructor(message) {
+  /**
+   * @param {string} message
+   * @param {string[]=} expected - Tokens that would have been accepted.
+   */
+  constructor(message, expected = []) {
     super(message);
     this.name = 'VueDataObjectPathSyntaxError';
 
     // The setLocation method defines these values.
     this.from = null;
     this.to = null;
+
+    /**
+     * Tokens that would have been accepted where parsing failed. Empty when
+     * the error is not about unexpected input.
+     * @member {string[]}
+     */
+    this.expected = expected;
   }
 }
 
@@ -15,18 +28,32 @@ class VueDataObjectPathSyntaxError extends VueDataObjectPathError {
  * Represents parsing state.
  */
 class State {
-  constructor(payload) {
+  constructor(payload, options = {}) {
     /**
      * The entire payload that needs to be parsed.
      * @param {string}
      */
     this.s = payload;
 
+    /**
+     * Parsing options.
+     * @param {object}
+     */
+    this.options = options;
+
     /**
      * Current position. An index into s.
      * @param {number}
      */
     this.pos = 0;
+
+    /**
+     * The furthest position where parsing failed and the tokens that would
+     * have been accepted there. Alternatives that are abandoned contribute
+     * too, which is what lets errors point at the right place.
+     * @param {{ pos: number, expected: string[] }}
+     */
+    this.failure = { pos: -1, expected: [] };
   }
 
   /**
@@ -62,6 +89,24 @@ class State {
     return this.pos === this.s.length;
   }
 
+  /**
+   * Records tokens that would have been accepted at the current position.
+   * @param {...string} tokens
+   */
+  expect(...tokens) {
+    if (this.pos > this.failure.pos) {
+      this.failure = { pos: this.pos, expected: [] };
+    }
+
+    if (this.pos === this.failure.pos) {
+      for (let token of tokens) {
+        if (!this.failure.expected.includes(token)) {
+          this.failure.expected.push(token);
+        }
+      }
+    }
+  }
+
   /**
    * Creates snapshot of current state.
    * @returns {StateSnapshot}
@@ -104,23 +149,24 @@ function isDecimalDigit(char) {
 }
 
 /**
- * Verifies if a character is part of the English language alphabet.
- * @param {string} char
+ * Verifies if a character can start an identifier. Follows the rules of
+ * ECMAScript's IdentifierName.
+ * @param {string} char - A single code point.
  * @returns {boolean}
  */
-function isEnglishLetter(char) {
-  // UTF knowledge.
-  // a to z
-  const smallCodeStart = 97;
-  const smallCodeEnd = 122;
-  // A to Z
-  const bigCodeStart = 65;
-  const bigCodeEnd = 90;
-
-  let charCode = char.charCodeAt(0);
+function isIdentifierStart(char) {
+  return /^[$_\p{ID_Start}]$/u.test(char);
+}
 
-  return (charCode >= smallCodeStart && charCode <= smallCodeEnd)
-    || (charCode >= bigCodeStart && charCode <= bigCodeEnd);
+/**
+ * Verifies if a character can be part of an identifier after the first one.
+ * Follows the rules of ECMAScript's IdentifierName.
+ * @param {string} char - A single code point.
+ * @returns {boolean}
+ */
+function isIdentifierPart(char) {
+  // The two code points are ZWNJ and ZWJ.
+  return /^[$\u200C\u200D\p{ID_Continue}]$/u.test(char);
 }
 
 /**
@@ -152,6 +198,205 @@ function unicodeEscape(state) {
   return String.fromCharCode(uffff);
 }
 
+/**
+ * Parses a code point escape sequence such as {1F600}.
+ * @param {State} state - Must be positioned at the opening brace.
+ * @returns {string}
+ */
+function codePointEscape(state) {
+  state.move();
+
+  let codePoint = 0;
+  let digits = 0;
+
+  while (!state.end() && state.at() !== '}') {
+    let hex = parseInt(state.at(), 16);
+
+    if (!Number.isFinite(hex)) {
+      // JavaScript throws this error too.
+      throw new VueDataObjectPathSyntaxError('Invalid Unicode escape sequence');
+    }
+
+    codePoint = codePoint * 16 + hex;
+    digits += 1;
+
+    if (codePoint > 0x10FFFF) {
+      // JavaScript throws this error too.
+      throw new VueDataObjectPathSyntaxError('Undefined Unicode code-point');
+    }
+
+    state.move();
+  }
+
+  if (state.end() || digits === 0) {
+    // JavaScript throws this error too.
+    throw new VueDataObjectPathSyntaxError('Invalid Unicode escape sequence');
+  }
+
+  state.move();
+
+  return String.fromCodePoint(codePoint);
+}
+
+/**
+ * Reads a single code point of an identifier. It may be written as a Unicode
+ * escape sequence.
+ * @param {State} state
+ * @returns {{ char: string, escaped: boolean }}
+ */
+function identifierCharacter(state) {
+  if (state.at() === '\\') {
+    state.move();
+
+    if (state.at() !== 'u') {
+      // JavaScript throws this error too.
+      throw new VueDataObjectPathSyntaxError('Invalid Unicode escape sequence');
+    }
+
+    state.move();
+
+    if (state.at() === '{') {
+      return { char: codePointEscape(state), escaped: true };
+    } else {
+      return { char: unicodeEscape(state), escaped: true };
+    }
+  }
+
+  // Characters outside of the Basic Multilingual Plane take up two positions.
+  let char = String.fromCodePoint(state.s.codePointAt(state.pos));
+
+  state.move(char.length);
+
+  return { char, escaped: false };
+}
+
+/**
+ * Parses a unicode escape sequence, either with 4 hexadecimal digits or with
+ * a code point in braces.
+ * @param {State} state
+ * @returns {string}
+ */
+function unicodeOrCodePointEscape(state) {
+  if (state.at() === '{') {
+    return codePointEscape(state);
+  } else {
+    return unicodeEscape(state);
+  }
+}
+
+/**
+ * Parses a 2 hexadecimal digit escape sequence.
+ * @param {State} state
+ * @returns {string}
+ */
+function hexEscape(state) {
+  let code = 0;
+
+  for (let i = 0; i < 2; i += 1) {
+    let hex = state.end() ? NaN : parseInt(state.at(), 16);
+
+    if (!Number.isFinite(hex)) {
+      // JavaScript throws this error too.
+      throw new VueDataObjectPathSyntaxError('Invalid hexadecimal escape sequence');
+    }
+
+    code = code * 16 + hex;
+
+    state.move();
+  }
+
+  return String.fromCharCode(code);
+}
+
+/**
+ * Parses escape sequences that start with a decimal digit. Only \0 is part of
+ * the standard. The others are legacy octal escape sequences, which are
+ * rejected in strict mode.
+ * @param {State} state - Positioned right after the digit.
+ * @returns {string}
+ */
+function decimalEscape(state) {
+  let digit = state.at(-1);
+
+  if (digit === '0' && (state.end() || !isDecimalDigit(state.at()))) {
+    // The null character.
+    return '\0';
+  }
+
+  if (digit === '8' || digit === '9') {
+    if (state.options.strict) {
+      // JavaScript throws this error too.
+      throw new VueDataObjectPathSyntaxError('\\8 and \\9 are not allowed in strict mode.');
+    }
+
+    return digit;
+  }
+
+  if (state.options.strict) {
+    // JavaScript throws this error too.
+    throw new VueDataObjectPathSyntaxError('Octal escape sequences are not allowed in strict mode.');
+  }
+
+  // Digits 0 to 3 can be followed by two more octal digits but 4 to 7 only by
+  // one, so that the value never goes over 255.
+  let octal = digit;
+  let maxLength = digit <= '3' ? 3 : 2;
+
+  while (octal.length < maxLength && !state.end() && state.at() >= '0' && state.at() <= '7') {
+    octal += state.at();
+    state.move();
+  }
+
+  return String.fromCharCode(parseInt(octal, 8));
+}
+
+/**
+ * A backslash followed by a line terminator continues the string on the next
+ * line without adding anything to it.
+ * @param {State} state - Positioned right after the line terminator.
+ * @returns {string}
+ */
+function lineContinuation(state) {
+  if (state.at(-1) === '\r' && state.at() === '\n') {
+    // CRLF counts as a single line terminator.
+    state.move();
+  }
+
+  return '';
+}
+
+/**
+ * Escape sequences that are shared by both kinds of string literals.
+ */
+const stringEscapes = {
+  '\'': '\'',
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  u: unicodeOrCodePointEscape,
+  x: hexEscape,
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  v: '\v',
+  '0': decimalEscape,
+  '1': decimalEscape,
+  '2': decimalEscape,
+  '3': decimalEscape,
+  '4': decimalEscape,
+  '5': decimalEscape,
+  '6': decimalEscape,
+  '7': decimalEscape,
+  '8': decimalEscape,
+  '9': decimalEscape,
+  '\n': lineContinuation,
+  '\r': lineContinuation,
+  '\u2028': lineContinuation,
+  '\u2029': lineContinuation,
+};
+
 /**
  * Builds a string literal grammar.
  * @param {string} delimiter - The character that encloses the text.
@@ -162,7 +407,9 @@ function makeStringGrammar(delimiter, escape, esc) {
   return function (state) {
     let value = '';
 
-    if (state.at() === delimiter) {
+    if (state.at() !== delimiter) {
+      throw unexpected(state, 'string');
+    } else {
       state.move()
 
       while (!state.end()) {
@@ -176,8 +423,14 @@ function makeStringGrammar(delimiter, escape, esc) {
           // Hit an escape sequence.
           state.move();
 
+          if (state.end()) {
+            break;
+          }
+
           // Lookup resolver for this escape sequence.
-          let resolver = esc[state.at()];
+          let resolver = Object.prototype.hasOwnProperty.call(esc, state.at())
+            ? esc[state.at()]
+            : undefined;
 
           if (typeof resolver === 'string') {
             // A simple string replacement.
@@ -187,6 +440,8 @@ function makeStringGrammar(delimiter, escape, esc) {
             // A more complex situation.
             state.move()
             value += resolver(state);
+          } else if (state.options.strict) {
+            throw new VueDataObjectPathSyntaxError('Invalid escape sequence.');
           } else {
             // Bad escape sequence.
             // JavaScript seems to just place the character in the string.
@@ -195,6 +450,9 @@ function makeStringGrammar(delimiter, escape, esc) {
             // Move on to the next one.
             state.move()
           }
+        } else if (state.at() === '\n' || state.at() === '\r') {
+          // Line terminators must be escaped.
+          break;
         } else {
           // Straight copy.
           value += state.at();
@@ -205,11 +463,129 @@ function makeStringGrammar(delimiter, escape, esc) {
       }
     }
 
-    // JavaScript throws this error too.
+    // The string is not closed. JavaScript throws this error too.
+    state.expect(delimiter);
     throw new VueDataObjectPathSyntaxError('Invalid or unexpected token.');
   }
 }
 
+/**
+ * Rejects indexes that are not safe integers. Digits past that point are lost,
+ * so the index could not be written back as it was read.
+ * @throws {VueDataObjectPathSyntaxError}
+ * @param {number} value
+ * @param {number} from - Where the index starts.
+ * @param {number} to - Where the index ends.
+ * @returns {number}
+ */
+function safeIndex(value, from, to) {
+  if (!Number.isSafeInteger(value)) {
+    let error = new VueDataObjectPathSyntaxError('Index must be a safe integer.');
+    setLocation(error, from, to);
+    throw error;
+  }
+
+  return value;
+}
+
+/**
+ * Creates the error for input that does not fit the grammar and records what
+ * would have been accepted instead.
+ * @param {State} state
+ * @param {...string} expected - Tokens that would have been accepted.
+ * @returns {VueDataObjectPathSyntaxError}
+ */
+function unexpected(state, ...expected) {
+  state.expect(...expected);
+
+  let message = state.end() ? 'Unexpected end of input.' : 'Unexpected character.';
+
+  return new VueDataObjectPathSyntaxError(message, expected);
+}
+
+/**
+ * Tokens that are described rather than written as they are.
+ */
+const tokenKinds = ['identifier', 'number', 'string', 'comparison operator', 'end of input'];
+
+/**
+ * Writes a list of tokens in English.
+ * @param {string[]} tokens
+ * @returns {string}
+ */
+function describeTokens(tokens) {
+  let described = tokens.map((token) => {
+    if (tokenKinds.includes(token)) {
+      return token;
+    }
+
+    return token.includes('"') ? `'${token}'` : `"${token}"`;
+  });
+
+  if (described.length === 1) {
+    return described[0];
+  }
+
+  return described.slice(0, -1).join(', ') + ' or ' + described[described.length - 1];
+}
+
+/**
+ * Draws carets under the part of the path where an error was found.
+ * @param {string} source
+ * @param {number} from
+ * @param {number} to
+ * @returns {string}
+ */
+function codeFrame(source, from, to) {
+  // Line terminators and tabs would misplace the carets.
+  let line = source.replace(/[\t\n\r\u2028\u2029]/g, ' ');
+
+  // Characters outside of the Basic Multilingual Plane take up two positions
+  // but are displayed as one.
+  let offset = Array.from(source.slice(0, from)).length;
+  let width = Math.max(Array.from(source.slice(from, to)).length, 1);
+
+  return `${line}\n${' '.repeat(offset)}${'^'.repeat(width)}`;
+}
+
+/**
+ * Gives the final shape to an error that stopped the parser. Errors about
+ * unexpected input are reported at the furthest position that was reached,
+ * along with every token that would have been accepted there.
+ * @param {Error} error
+ * @param {State} state
+ * @returns {Error}
+ */
+function diagnose(error, state) {
+  if (!(error instanceof VueDataObjectPathSyntaxError)) {
+    return error;
+  }
+
+  if (error.expected.length > 0 && state.failure.pos !== -1) {
+    let { pos, expected } = state.failure;
+    let reason = pos === state.s.length ? 'Unexpected end of input.' : 'Unexpected character.';
+
+    error = new VueDataObjectPathSyntaxError(`${reason} Expected ${describeTokens(expected)}.`, expected);
+    setLocation(error, pos, pos);
+  }
+
+  if (error.from !== null) {
+    error.message += '\n\n' + codeFrame(state.s, error.from, error.to);
+  }
+
+  return error;
+}
+
+/**
+ * Moves past spaces and tabs.
+ * @param {State} state
+ */
+function skipWhitespace(state) {
+  while (state.at() === ' ' || state.at() === '\t') {
+    state.move();
+  }
+}
+
 /**
  * Sets parse error location.
  * @param {Error} error
@@ -283,30 +659,94 @@ const parser = {
   }
 };
 
+/**
+ * Tells how a path segment was written.
+ * @param {State} state
+ * @param {number} from - Where the segment starts.
+ * @param {any} value - What the segment was parsed into.
+ * @returns {string}
+ */
+function nodeKind(state, from, value) {
+  if (value instanceof Wildcard) {
+    return 'wildcard';
+  } else if (value instanceof Descendants) {
+    return 'descendants';
+  } else if (value instanceof Slice) {
+    return 'slice';
+  } else if (value instanceof Filter) {
+    return 'filter';
+  } else if (value instanceof Placeholder) {
+    return 'placeholder';
+  } else if (value instanceof OptionalChain) {
+    return 'optionalChain';
+  } else if (value instanceof Reference) {
+    return 'reference';
+  } else if (value instanceof Pick) {
+    return 'pick';
+  } else if (from === 0) {
+    return 'root';
+  } else if (state.s[from] === '.') {
+    return 'dot';
+  } else if (typeof value === 'number') {
+    return 'bracketNumber';
+  } else {
+    return 'bracketString';
+  }
+}
+
 const grammar = {
   path(state) {
-    let path = [];
+    return this.require(state, 'pathAst').map(node => node.value);
+  },
 
-    path.push(this.require(state, 'rootProperty'));
+  pathAst(state) {
+    let nodes = [];
+
+    let node = (name) => {
+      let from = state.pos;
+      let value = this.require(state, name);
+
+      return { kind: nodeKind(state, from, value), value, from, to: state.pos };
+    };
+
+    nodes.push(node('rootProperty'));
 
     while (!state.end()) {
-      path.push(this.require(state, 'accessProperty'));
+      if (nodes[nodes.length - 1].value instanceof Pick) {
+        // Nothing can be accessed after selecting several keys.
+        throw unexpected(state, 'end of input');
+      }
+
+      nodes.push(node('accessProperty'));
     }
 
-    return path;
+    return nodes;
   },
 
   rootProperty(state) {
+    if (state.at() === ':') {
+      // Only properties can be accessed at the root level.
+      let placeholder = this.require(state, 'placeholder');
+      placeholder.notation = 'dot';
+      return placeholder;
+    }
+
     return this.require(state, 'word');
   },
 
   accessProperty(state) {
-    if (state.at() === '.') {
+    if (state.at() === '?' && state.at(1) === '.') {
+      return this.require(state, 'optionalChain');
+    } else if (state.at() === '.' && state.at(1) === '.') {
+      return this.require(state, 'accessPropertyRecursiveDescent');
+    } else if (state.at() === '.') {
       // Guaranteed to be dot notation. This prevents
       // accessPropertyBracketNotation error message from taking precedence.
       return this.require(state, 'accessPropertyDotNotation');
-    } else {
+    } else if (state.at() === '[') {
       return this.require(state, 'accessPropertyBracketNotation');
+    } else {
+      throw unexpected(state, '.', '[', '?.', 'end of input');
     }
   },
 
@@ -315,76 +755,526 @@ const grammar = {
       state.move();
 
       if (state.end()) {
-        throw new VueDataObjectPathSyntaxError('Unexpected end of input.');
+        throw unexpected(state, 'identifier', '*', ':');
       }
 
+      if (state.at() === '*') {
+        return this.require(state, 'wildcard');
+      }
+
+      if (state.at() === '{') {
+        return this.require(state, 'pick');
+      }
+
+      if (state.at() === ':') {
+        let placeholder = this.require(state, 'placeholder');
+        placeholder.notation = 'dot';
+        return placeholder;
+      }
+
+      state.expect('identifier', '*', ':');
+
       return this.require(state, 'word')
     } else {
-      throw new VueDataObjectPathSyntaxError('Unexpected character.');
+      throw unexpected(state, '.');
     }
   },
 
-  accessPropertyBracketNotation(state) {
-    if (state.at() === '[') {
-      if (state.end()) {
-        throw new VueDataObjectPathSyntaxError('Unexpected end of input.');
+  accessPropertyRecursiveDescent(state) {
+    if (state.at() === '.' && state.at(1) === '.') {
+      // Only the first dot is consumed. The second one introduces the property
+      // that is looked up at every level, unless bracket notation is used.
+      state.move();
+
+      if (state.at(1) === '[') {
+        state.move();
+      } else if (state.at(1) === '.') {
+        state.move();
+        throw unexpected(state, 'identifier', '*', ':', '[');
       }
 
+      return new Descendants();
+    } else {
+      throw unexpected(state, '..');
+    }
+  },
+
+  optionalChain(state) {
+    if (state.at() === '?' && state.at(1) === '.') {
+      // Only the question mark is consumed unless bracket notation follows,
+      // just like in recursive descent.
       state.move();
-      let result = this.try(state, 'number', 'stringSingle', 'stringDouble');
 
-      if (state.end()) {
-        throw new VueDataObjectPathSyntaxError('Unexpected end of input.');
+      if (state.at(1) === '[') {
+        state.move();
+      }
+
+      return new OptionalChain();
+    } else {
+      throw unexpected(state, '?.');
+    }
+  },
+
+  accessPropertyBracketNotation(state) {
+    if (state.at() === '[') {
+      state.move();
+      let result;
+
+      // Alternatives are only tried after committing to one of them. Listing
+      // everything beforehand keeps the order stable.
+      state.expect('number', 'string', 'identifier', '*', ':', '?(');
+
+      // Committing to an alternative lets its errors be reported.
+      if (state.at() === '?') {
+        result = this.require(state, 'filter');
+      } else if (state.at() === '\'') {
+        result = this.require(state, 'stringSingle');
+      } else if (state.at() === '"') {
+        result = this.require(state, 'stringDouble');
+      } else if (state.at() === ':' && this.try(state, 'placeholderAhead')) {
+        result = this.require(state, 'placeholder');
+      } else if (this.try(state, 'sliceAhead')) {
+        result = this.require(state, 'slice');
+      } else if (this.try(state, 'referenceAhead')) {
+        result = this.require(state, 'reference');
+      } else {
+        let from = state.pos;
+
+        result = this.try(state, 'number', 'wildcard');
+
+        if (result === undefined) {
+          throw unexpected(state, 'number', 'string', 'identifier', '*', ':', '?(');
+        } else if (typeof result === 'number') {
+          safeIndex(result, from, state.pos);
+        }
       }
 
       if (state.at() === ']') {
         state.move();
         return result;
       } else {
-        throw new VueDataObjectPathSyntaxError('Unexpected character.');
+        throw unexpected(state, ']');
       }
     } else {
-      throw new VueDataObjectPathSyntaxError('Unexpected character.');
+      throw unexpected(state, '[');
     }
   },
 
   word(state) {
     let result = '';
 
-    let first = state.at();
+    while (!state.end()) {
+      let snapshot = state.save();
+      let { char, escaped } = identifierCharacter(state);
 
-    // First character is a special case.
-    if (isEnglishLetter(first) || first === '_' || first === '$') {
-      result += first;
+      // First character is a special case.
+      let valid = result === '' ? isIdentifierStart(char) : isIdentifierPart(char);
+
+      if (valid) {
+        result += char;
+      } else if (escaped) {
+        // JavaScript throws this error too.
+        throw new VueDataObjectPathSyntaxError('Invalid Unicode escape sequence');
+      } else {
+        // Not part of the word.
+        state.load(snapshot);
+        break;
+      }
+    }
+
+    if (result === '') {
+      throw unexpected(state, 'identifier');
+    }
+
+    return result;
+  },
+
+  wildcard(state) {
+    if (state.at() === '*') {
       state.move();
+      return new Wildcard();
     } else {
-      throw new VueDataObjectPathSyntaxError('Unexpected character.');
+      throw unexpected(state, '*');
     }
+  },
 
-    while (!state.end()) {
-      let char = state.at();
+  filter(state) {
+    if (state.at() === '?' && state.at(1) === '(') {
+      state.move(2);
 
-      if (isEnglishLetter(char) || isDecimalDigit(char) || char === '_' || char === '$') {
-        result += char;
+      let expression = this.require(state, 'filterOr');
+
+      skipWhitespace(state);
+
+      if (state.at() !== ')') {
+        throw unexpected(state, ')');
+      }
+
+      state.move();
+
+      return new Filter(expression);
+    } else {
+      throw unexpected(state, '?(');
+    }
+  },
+
+  filterOr(state) {
+    let left = this.require(state, 'filterAnd');
+
+    skipWhitespace(state);
+
+    while (state.at() === '|' && state.at(1) === '|') {
+      state.move(2);
+
+      let right = this.require(state, 'filterAnd');
+      left = { type: 'logical', operator: '||', left, right };
+
+      skipWhitespace(state);
+    }
+
+    state.expect('||');
+
+    return left;
+  },
+
+  filterAnd(state) {
+    let left = this.require(state, 'filterComparison');
+
+    skipWhitespace(state);
+
+    while (state.at() === '&' && state.at(1) === '&') {
+      state.move(2);
+
+      let right = this.require(state, 'filterComparison');
+      left = { type: 'logical', operator: '&&', left, right };
+
+      skipWhitespace(state);
+    }
+
+    state.expect('&&');
+
+    return left;
+  },
+
+  filterComparison(state) {
+    let left = this.require(state, 'filterOperand');
+
+    skipWhitespace(state);
+
+    let operator = this.try(state, 'filterOperator');
+
+    if (operator === undefined) {
+      // The operand is used on its own.
+      return left;
+    }
+
+    let right = this.require(state, 'filterOperand');
+
+    return { type: 'comparison', operator, left, right };
+  },
+
+  filterOperator(state) {
+    // Longer operators come first so that they are not mistaken for shorter
+    // ones.
+    for (let operator of ['==', '!=', '<=', '>=', '<', '>']) {
+      if (state.s.startsWith(operator, state.pos)) {
+        state.move(operator.length);
+        return operator;
+      }
+    }
+
+    throw unexpected(state, 'comparison operator');
+  },
+
+  filterOperand(state) {
+    skipWhitespace(state);
+
+    if (state.at() === '(') {
+      state.move();
+
+      let expression = this.require(state, 'filterOr');
+
+      skipWhitespace(state);
+
+      if (state.at() !== ')') {
+        throw unexpected(state, ')');
+      }
+
+      state.move();
+
+      return expression;
+    } else if (state.at() === '@') {
+      return this.require(state, 'filterCurrent');
+    } else {
+      state.expect('(', '@');
+
+      return this.require(state, 'filterLiteral');
+    }
+  },
+
+  filterCurrent(state) {
+    if (state.at() !== '@') {
+      throw unexpected(state, '@');
+    }
+
+    state.move();
+
+    let path = [];
+
+    while (state.at() === '.' || state.at() === '[') {
+      if (state.at() === '.') {
         state.move();
+        path.push(this.require(state, 'word'));
       } else {
-        break;
+        state.move();
+
+        let key = this.try(state, 'number', 'stringSingle', 'stringDouble');
+
+        if (key === undefined) {
+          throw unexpected(state, 'number', 'string');
+        }
+
+        if (state.at() !== ']') {
+          throw unexpected(state, ']');
+        }
+
+        state.move();
+        path.push(key);
       }
     }
 
-    return result;
+    state.expect('.', '[');
+
+    return { type: 'current', path };
+  },
+
+  filterLiteral(state) {
+    let value = this.try(state, 'filterNumber', 'stringSingle', 'stringDouble', 'filterKeyword');
+
+    if (value === undefined) {
+      throw unexpected(state, 'number', 'string', 'true', 'false', 'null');
+    }
+
+    return { type: 'literal', value };
+  },
+
+  filterNumber(state) {
+    let start = state.pos;
+
+    this.require(state, 'number');
+
+    if (state.at() === '.' && state.left() > 1 && isDecimalDigit(state.at(1))) {
+      // Has a fractional part.
+      state.move();
+
+      while (!state.end() && isDecimalDigit(state.at())) {
+        state.move();
+      }
+    }
+
+    return parseFloat(state.s.slice(start, state.pos));
+  },
+
+  filterKeyword(state) {
+    for (let [keyword, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (!state.s.startsWith(keyword, state.pos)) {
+        continue;
+      }
+
+      let next = state.s.codePointAt(state.pos + keyword.length);
+
+      // Must not be the beginning of a longer word.
+      if (next === undefined || !isIdentifierPart(String.fromCodePoint(next))) {
+        state.move(keyword.length);
+        return value;
+      }
+    }
+
+    throw unexpected(state, 'true', 'false', 'null');
+  },
+
+  pick(state) {
+    if (state.at() !== '{') {
+      throw unexpected(state, '{');
+    }
+
+    state.move();
+
+    let keys = [this.require(state, 'pickKey')];
+
+    skipWhitespace(state);
+
+    while (state.at() === ',') {
+      state.move();
+      keys.push(this.require(state, 'pickKey'));
+      skipWhitespace(state);
+    }
+
+    if (state.at() !== '}') {
+      throw unexpected(state, ',', '}');
+    }
+
+    state.move();
+
+    return new Pick(keys);
+  },
+
+  pickKey(state) {
+    skipWhitespace(state);
+
+    // Same keys as dot and bracket notation, except for selectors.
+    if (state.at() === '\'') {
+      return this.require(state, 'stringSingle');
+    } else if (state.at() === '"') {
+      return this.require(state, 'stringDouble');
+    }
+
+    let from = state.pos;
+    let key = this.try(state, 'number', 'word');
+
+    if (key === undefined) {
+      throw unexpected(state, 'identifier', 'number', 'string');
+    } else if (typeof key === 'number') {
+      safeIndex(key, from, state.pos);
+    }
+
+    return key;
+  },
+
+  placeholderAhead(state) {
+    // A colon followed by a number is a slice.
+    let snapshot = state.save();
+
+    state.move();
+
+    let isPlaceholder = this.try(state, 'word') !== undefined;
+
+    state.load(snapshot);
+
+    return isPlaceholder;
+  },
+
+  placeholder(state) {
+    if (state.at() === ':') {
+      let from = state.pos;
+      state.move();
+      let name = this.require(state, 'word');
+      return new Placeholder(name, 'bracket', from, state.pos);
+    } else {
+      throw unexpected(state, ':');
+    }
+  },
+
+  referenceAhead(state) {
+    // Keys are never written without quotes in bracket notation so a word
+    // can only be the start of another path.
+    let snapshot = state.save();
+
+    let isReference = this.try(state, 'word') !== undefined;
+
+    state.load(snapshot);
+
+    return isReference;
+  },
+
+  reference(state) {
+    let from = state.pos;
+    let path = [this.require(state, 'word')];
+
+    // The closing bracket is checked by bracket notation.
+    while (state.at() === '.' || state.at() === '[' || (state.at() === '?' && state.at(1) === '.')) {
+      path.push(this.require(state, 'accessProperty'));
+    }
+
+    state.expect('.', '[', '?.');
+
+    if (isSelective(path) || isPicked(path)) {
+      throw new VueDataObjectPathSyntaxError('Reference must lead to a single value.');
+    }
+
+    return new Reference(path, from, state.pos);
+  },
+
+  sliceAhead(state) {
+    // Looks ahead without consuming anything.
+    let snapshot = state.save();
+
+    this.try(state, 'number');
+
+    let isSlice = state.at() === ':';
+
+    if (!isSlice) {
+      state.expect(':');
+    }
+
+    state.load(snapshot);
+
+    return isSlice;
+  },
+
+  slice(state) {
+    // Every bound is optional but there must be at least one colon.
+    let from = state.pos;
+    let start = this.try(state, 'number');
+
+    if (start !== undefined) {
+      safeIndex(start, from, state.pos);
+    }
+
+    if (state.at() !== ':') {
+      throw unexpected(state, ':');
+    }
+
+    state.move();
+
+    from = state.pos;
+
+    let end = this.try(state, 'number');
+    let step;
+
+    if (end !== undefined) {
+      safeIndex(end, from, state.pos);
+    }
+
+    if (state.at() === ':') {
+      state.move();
+
+      from = state.pos;
+      step = this.try(state, 'number');
+
+      if (step !== undefined) {
+        safeIndex(step, from, state.pos);
+      }
+
+      if (step !== undefined && step <= 0) {
+        throw new VueDataObjectPathSyntaxError('Slice step must be greater than 0.');
+      }
+    } else {
+      state.expect(':');
+    }
+
+    return new Slice(
+      start === undefined ? null : start,
+      end === undefined ? null : end,
+      step === undefined ? null : step);
   },
 
   number(state) {
     let result = '';
 
+    if (state.at() === '-') {
+      // Negative indexes count from the end of an array.
+      result += '-';
+      state.move();
+    }
+
     let first = state.at();
 
-    if (isDecimalDigit(first)) {
+    if (!state.end() && isDecimalDigit(first)) {
       result += first;
       state.move();
     } else {
-      throw new VueDataObjectPathSyntaxError('Unexpected character.');
+      throw unexpected(state, 'number');
     }
   
     while (!state.end()) {
@@ -401,33 +1291,185 @@ const grammar = {
     return parseInt(result);
   },
 
-  stringSingle: makeStringGrammar('\'', '\\', {
-    '\'': '\'',
-    '\\': '\\',
-    '/': '/',
-    u: unicodeEscape,
-    b: '\b',
-    f: '\f',
-    n: '\n',
-    r: '\r',
-    t: '\t'
-  }),
-  
-  stringDouble: makeStringGrammar('"', '\\', {
-    '"': '"',
-    '\\': '\\',
-    '/': '/',
-    u: unicodeEscape,
-    b: '\b',
-    f: '\f',
-    n: '\n',
-    r: '\r',
-    t: '\t'
-  }),
+  stringSingle: makeStringGrammar('\'', '\\', stringEscapes),
+
+  stringDouble: makeStringGrammar('"', '\\', stringEscapes),
+};
+
+/**
+ * Reads the dialect option of the parsing functions.
+ * @throws {VueDataObjectPathError} - If the dialect is unknown.
+ * @param {object} options
+ * @returns {string}
+ */
+function dialectOf(options) {
+  let dialect = options.dialect === undefined ? 'javascript' : options.dialect;
+
+  if (dialect !== 'javascript' && dialect !== 'lodash') {
+    throw new VueDataObjectPathError(`Unknown path dialect ${dialect}.`);
+  }
+
+  return dialect;
+}
+
+/**
+ * Parses a path written in JavaScript syntax.
+ * @throws {VueDataObjectPathSyntaxError}
+ * @param {string} path
+ * @param {object=} options
+ * @param {boolean=} options.strict - Rejects escape sequences in strings that
+ * are not part of the standard instead of copying the character.
+ * @param {string=} options.dialect - Either javascript, the default, or
+ * lodash. The lodash dialect splits paths exactly like lodash's toPath does.
+ * @returns {any[]}
+ */
+exports.parseStringPath = function (path, options = {}) {
+  if (dialectOf(options) === 'lodash') {
+    return parseLodashPath(path);
+  }
+
+  let state = new State(path, options);
+
+  try {
+    return parser.require(state, 'path');
+  } catch (e) {
+    throw diagnose(e, state);
+  }
+};
+
+/**
+ * Parses a path written in JavaScript syntax and describes where every segment
+ * was found. Meant for tools that need to relate segments to the source, like
+ * syntax highlighters.
+ *
+ * Every node has these properties:
+ *
+ * - kind: how the segment was written. One of root, dot, bracketNumber,
+ *   bracketString, wildcard, descendants, slice, filter, placeholder,
+ *   optionalChain, reference or pick.
+ * - value: what parseStringPath would return for the segment.
+ * - from and to: offsets into the source string. Punctuation is included.
+ *
+ * The lodash dialect is not supported.
+ * @throws {VueDataObjectPathSyntaxError}
+ * @throws {VueDataObjectPathError} - If the dialect is not javascript.
+ * @param {string} path
+ * @param {object=} options - Same options as parseStringPath.
+ * @returns {{ kind: string, value: any, from: number, to: number }[]}
+ */
+exports.parsePathAst = function (path, options = {}) {
+  if (dialectOf(options) !== 'javascript') {
+    throw new VueDataObjectPathError('Only paths in the javascript dialect can be described.');
+  }
+
+  let state = new State(path, options);
+
+  try {
+    return parser.require(state, 'pathAst');
+  } catch (e) {
+    throw diagnose(e, state);
+  }
 };
 
-exports.parseStringPath = function (path) {
-  return parser.require(new State(path), 'path');
+/**
+ * Parses a path that is still being typed. Instead of failing when the input
+ * ends too soon, returns the segments that were complete and describes the
+ * one that was not.
+ *
+ * A word at the very end is also considered incomplete because more
+ * characters may follow. The incomplete segment has these properties:
+ *
+ * - kind: root, dot, bracket (bracket notation without quotes, where an index
+ *   is expected) or bracketString.
+ * - text: what was typed so far, without the punctuation that introduces it.
+ * - from: where the segment starts in the source string.
+ *
+ * In the lodash dialect every key is a string, like parseStringPath returns
+ * them, and only a closing bracket ends a segment.
+ * @throws {VueDataObjectPathSyntaxError} - If the path has an error that more
+ * input would not fix.
+ * @param {string} path
+ * @param {object=} options - Same options as parseStringPath.
+ * @returns {{ path: any[], partial: { kind: string, text: string, from: number }|null }}
+ */
+exports.parsePartialPath = function (path, options = {}) {
+  if (dialectOf(options) === 'lodash') {
+    return parseLodashPartialPath(path);
+  }
+
+  let state = new State(path, options);
+  let nodes = [];
+
+  while (nodes.length === 0 || !state.end()) {
+    let from = state.pos;
+
+    if (nodes.length > 0 && nodes[nodes.length - 1].value instanceof Pick) {
+      // Nothing can be accessed after selecting several keys.
+      throw diagnose(unexpected(state, 'end of input'), state);
+    }
+
+    try {
+      let value = parser.require(state, nodes.length === 0 ? 'rootProperty' : 'accessProperty');
+      nodes.push({ kind: nodeKind(state, from, value), value, from });
+    } catch (e) {
+      if (state.failure.pos !== path.length) {
+        // More input would not fix it.
+        throw diagnose(e, state);
+      }
+
+      return { path: nodes.map(node => node.value), partial: partialSegment(path, from) };
+    }
+  }
+
+  let last = nodes[nodes.length - 1];
+  let partial = null;
+
+  if (last.kind === 'root' || last.kind === 'dot') {
+    nodes.pop();
+    partial = { kind: last.kind, text: last.value, from: last.from };
+  }
+
+  return { path: nodes.map(node => node.value), partial };
 };
 
+/**
+ * Describes a segment that has not been typed completely.
+ * @param {string} path
+ * @param {number} from - Where the segment starts.
+ * @returns {{ kind: string, text: string, from: number }}
+ */
+function partialSegment(path, from) {
+  let rest = path.slice(from);
+
+  if (from === 0) {
+    return { kind: 'root', text: rest, from };
+  } else if (rest[0] === '.') {
+    return { kind: 'dot', text: rest.slice(1), from };
+  } else if (rest[1] === '"' || rest[1] === '\'') {
+    return { kind: 'bracketString', text: rest.slice(2), from };
+  } else {
+    return { kind: 'bracket', text: rest.slice(1), from };
+  }
+}
+
+/**
+ * Checks if a key can be written in dot notation as it is, without escape
+ * sequences.
+ * @param {string} key
+ * @returns {boolean}
+ */
+exports.isWord = function (key) {
+  let state = new State(key);
+
+  try {
+    return parser.require(state, 'word') === key && state.end();
+  } catch (e) {
+    return false;
+  }
+};
+
+exports.isIdentifierPart = isIdentifierPart;
+
 exports.VueDataObjectPathSyntaxError = VueDataObjectPathSyntaxError;
+
+exports.setLocation = setLocation;
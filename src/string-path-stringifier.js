@@ -0,0 +1,277 @@
+const { parseStringPath, isWord } = require('./string-path-parser');
+const { VueDataObjectPathError } = require('./vue-data-object-path-error');
+const { Wildcard, Descendants, Slice, Filter, Placeholder, OptionalChain, Reference, Pick } = require('./path-segments');
+
+/**
+ * Escape sequences for characters that cannot appear as they are inside of a
+ * string literal.
+ */
+const stringEscapes = {
+  '"': '\\"',
+  '\\': '\\\\',
+  '\b': '\\b',
+  '\f': '\\f',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t',
+  '\v': '\\v',
+  '\u2028': '\\u2028',
+  '\u2029': '\\u2029',
+};
+
+/**
+ * Writes a string literal in double quotes.
+ * @param {string} value
+ * @returns {string}
+ */
+function stringifyString(value) {
+  let result = '"';
+
+  for (let i = 0; i < value.length; i++) {
+    let char = value[i];
+    let code = value.charCodeAt(i);
+
+    if (char in stringEscapes) {
+      result += stringEscapes[char];
+    } else if (code < 0x20 || code === 0x7F) {
+      // Other control characters.
+      result += '\\x' + code.toString(16).toUpperCase().padStart(2, '0');
+    } else if (code >= 0xD800 && code <= 0xDBFF && i + 1 < value.length
+      && value.charCodeAt(i + 1) >= 0xDC00 && value.charCodeAt(i + 1) <= 0xDFFF) {
+      // A surrogate pair can be copied.
+      result += char + value[i + 1];
+      i += 1;
+    } else if (code >= 0xD800 && code <= 0xDFFF) {
+      // A lone surrogate would not survive being encoded.
+      result += '\\u' + code.toString(16).toUpperCase();
+    } else {
+      result += char;
+    }
+  }
+
+  return result + '"';
+}
+
+/**
+ * Writes a number that is used as an array index.
+ * @param {number} value
+ * @returns {string}
+ */
+function stringifyIndex(value) {
+  if (!Number.isSafeInteger(value)) {
+    throw new VueDataObjectPathError('Only safe integers can be written as indexes.');
+  }
+
+  return Object.is(value, -0) ? '-0' : String(value);
+}
+
+/**
+ * Precedence of filter expression nodes. Higher binds tighter.
+ */
+const precedence = {
+  '||': 1,
+  '&&': 2,
+  comparison: 3,
+  operand: 4,
+};
+
+/**
+ * Writes a filter expression.
+ * @param {object} node
+ * @param {number} minimum - Nodes with lower precedence need parentheses.
+ * @returns {string}
+ */
+function stringifyExpression(node, minimum = 0) {
+  let result;
+  let level;
+
+  switch (node.type) {
+    case 'literal':
+      level = precedence.operand;
+
+      if (typeof node.value === 'string') {
+        result = stringifyString(node.value);
+      } else if (typeof node.value === 'number' && /^-?\d+(\.\d+)?$/.test(String(node.value))) {
+        // Numbers written with an exponent are not supported by the parser.
+        result = Object.is(node.value, -0) ? '-0' : String(node.value);
+      } else if (node.value === true || node.value === false || node.value === null) {
+        result = String(node.value);
+      } else {
+        throw new VueDataObjectPathError('Filter literal cannot be written as a string.');
+      }
+      break;
+
+    case 'current':
+      level = precedence.operand;
+      result = '@' + node.path.map(key => stringifyKey(key)).join('');
+      break;
+
+    case 'comparison':
+      level = precedence.comparison;
+      // Comparisons cannot be chained without parentheses.
+      result = stringifyExpression(node.left, precedence.operand)
+        + ` ${node.operator} `
+        + stringifyExpression(node.right, precedence.operand);
+      break;
+
+    case 'logical':
+      level = precedence[node.operator];
+      // The parser groups operators of the same kind from left to right.
+      result = stringifyExpression(node.left, level)
+        + ` ${node.operator} `
+        + stringifyExpression(node.right, level + 1);
+      break;
+
+    default:
+      throw new VueDataObjectPathError('Filter expression cannot be written as a string.');
+  }
+
+  return level < minimum ? `(${result})` : result;
+}
+
+/**
+ * Writes a plain key in dot or bracket notation.
+ * @param {string|number} key
+ * @returns {string}
+ */
+function stringifyKey(key) {
+  if (typeof key === 'number') {
+    return `[${stringifyIndex(key)}]`;
+  } else if (typeof key === 'string') {
+    return isWord(key) ? `.${key}` : `[${stringifyString(key)}]`;
+  } else {
+    throw new VueDataObjectPathError('Path segment cannot be written as a string.');
+  }
+}
+
+/**
+ * Writes any segment that follows the root.
+ * @param {any} segment
+ * @returns {string}
+ */
+function stringifySegment(segment) {
+  if (segment instanceof Wildcard) {
+    return '[*]';
+  } else if (segment instanceof Slice) {
+    let bounds = [segment.start, segment.end].map(bound => bound === null ? '' : stringifyIndex(bound));
+
+    if (segment.step !== null) {
+      bounds.push(stringifyIndex(segment.step));
+    }
+
+    return `[${bounds.join(':')}]`;
+  } else if (segment instanceof Filter) {
+    if (typeof segment.expression === 'function') {
+      throw new VueDataObjectPathError('Filter functions cannot be written as a string.');
+    }
+
+    return `[?(${stringifyExpression(segment.expression)})]`;
+  } else if (segment instanceof Placeholder) {
+    return segment.notation === 'dot' ? `.:${segment.name}` : `[:${segment.name}]`;
+  } else if (segment instanceof Reference) {
+    if (segment.path[0] instanceof Placeholder) {
+      // Would be read back as a placeholder.
+      throw new VueDataObjectPathError('The first key of a reference cannot be a placeholder.');
+    }
+
+    return `[${stringifyPath(segment.path)}]`;
+  } else if (segment instanceof Pick) {
+    let keys = segment.keys.map((key) => {
+      if (typeof key === 'number') {
+        return stringifyIndex(key);
+      } else if (typeof key === 'string') {
+        return isWord(key) ? key : stringifyString(key);
+      } else {
+        throw new VueDataObjectPathError('Path segment cannot be written as a string.');
+      }
+    });
+
+    return `.{${keys.join(',')}}`;
+  } else {
+    return stringifyKey(segment);
+  }
+}
+
+/**
+ * Writes a path as a string that parseStringPath turns back into the same
+ * path. Dot notation is used whenever possible.
+ * @throws {VueDataObjectPathError} - If the path cannot be written as a string.
+ * @param {any[]} path
+ * @returns {string}
+ */
+function stringifyPath(path) {
+  if (!(path instanceof Array)) {
+    throw new VueDataObjectPathError('Path must be an array.');
+  }
+
+  if (path.length === 0) {
+    throw new VueDataObjectPathError('Path must not be empty.');
+  }
+
+  if (path.slice(0, -1).some(segment => segment instanceof Pick)) {
+    throw new VueDataObjectPathError('Multi-property selection must be the last segment.');
+  }
+
+  let root = path[0];
+  let result;
+
+  if (root instanceof Placeholder && root.notation === 'dot') {
+    result = `:${root.name}`;
+  } else if (typeof root === 'string' && isWord(root)) {
+    result = root;
+  } else {
+    throw new VueDataObjectPathError('The first key of the path must be written in dot notation.');
+  }
+
+  for (let i = 1; i < path.length; i++) {
+    let segment = path[i];
+
+    if (segment instanceof Descendants) {
+      let next = path[i + 1];
+
+      if (next === undefined || next instanceof Descendants || next instanceof OptionalChain) {
+        throw new VueDataObjectPathError('Recursive descent must be followed by a key.');
+      }
+
+      let written = stringifySegment(next);
+
+      // The second dot is shared with dot notation.
+      result += written[0] === '.' ? '.' + written : '..' + written;
+      i += 1;
+    } else if (segment instanceof OptionalChain) {
+      let next = path[i + 1];
+
+      if (next === undefined || next instanceof Descendants || next instanceof OptionalChain) {
+        throw new VueDataObjectPathError('Optional chaining must be followed by a key.');
+      }
+
+      let written = stringifySegment(next);
+
+      // The dot is shared with dot notation.
+      result += written[0] === '.' ? '?' + written : '?.' + written;
+      i += 1;
+    } else {
+      result += stringifySegment(segment);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Rewrites a string path in its canonical form. Paths that lead to the same
+ * place end up being equal.
+ * @throws {VueDataObjectPathSyntaxError}
+ * @param {string} path
+ * @param {object=} options - Same options as parseStringPath.
+ * @returns {string}
+ */
+function normalizePath(path, options = {}) {
+  return stringifyPath(parseStringPath(path, options));
+}
+
+exports.stringifyPath = stringifyPath;
+
+exports.stringifyString = stringifyString;
+
+exports.normalizePath = normalizePath;
@@ -0,0 +1,109 @@
+const { VueDataObjectPath } = require('./vue-data-object-path');
+const { VueDataObjectPathError } = require('./vue-data-object-path-error');
+
+/**
+ * The Vue 2 constructor that the plugin was installed with. Its set and delete
+ * functions are needed to add and remove properties reactively. Vue 3 does
+ * not need them.
+ */
+let Vue2 = null;
+
+/**
+ * Remembers the Vue 2 constructor for composables.
+ * @param {Vue} Vue
+ */
+function setVue(Vue) {
+  Vue2 = Vue;
+}
+
+/**
+ * Returns the Vue 2 constructor that the plugin was installed with.
+ * @returns {Vue|null} Null in Vue 3 or before the plugin is installed.
+ */
+function getVue() {
+  return Vue2;
+}
+
+/**
+ * The isRef functions of the modules that are installed. Loaded on first use.
+ * @type {function[]|null}
+ */
+let isRefFunctions = null;
+
+/**
+ * Loads the isRef function of Vue and of @vue/composition-api. Modules that
+ * are not installed are skipped.
+ * @returns {function[]}
+ */
+function loadIsRefFunctions() {
+  let functions = [];
+
+  for (let name of ['vue', '@vue/composition-api']) {
+    try {
+      let module = require(name);
+
+      if (typeof module.isRef === 'function') {
+        functions.push(module.isRef);
+      }
+    } catch (e) {
+      // Not installed.
+    }
+  }
+
+  return functions;
+}
+
+/**
+ * Checks if a value is a ref.
+ * @param {object} value
+ * @returns {boolean}
+ */
+function isRef(value) {
+  if (value.__v_isRef === true) {
+    // This is what isRef checks in Vue 3 and Vue 2.7. It also covers copies of
+    // Vue that cannot be required from here.
+    return true;
+  }
+
+  if (isRefFunctions === null) {
+    isRefFunctions = loadIsRefFunctions();
+  }
+
+  return isRefFunctions.some(fn => fn(value));
+}
+
+/**
+ * Gives the API of $objectPath in setup functions, where there is no
+ * component to take the data object from. Paths start at the given object
+ * instead, which may also have new properties added at the root level.
+ *
+ * In Vue 2 the plugin must be installed first.
+ * @throws {VueDataObjectPathError} - If target cannot be used.
+ * @param {object} target - A reactive object or a ref that holds one. Refs are
+ * read on every call so their value may be replaced.
+ * @param {object=} options - Same options as VueDataObjectPath.for.
+ * @returns {VueDataObjectPath}
+ */
+function useObjectPath(target, options = {}) {
+  if (typeof target !== 'object' || target === null) {
+    throw new VueDataObjectPathError('Target must be a reactive object or a ref.');
+  }
+
+  let ref = isRef(target);
+  let root = ref ? target.value : target;
+
+  if (Vue2 === null && typeof root === 'object' && root !== null && root.__ob__ !== undefined) {
+    // New properties would not be reactive.
+    throw new VueDataObjectPathError('The plugin must be installed with Vue.use before it can be used on Vue 2 objects.');
+  }
+
+  let defaults = Vue2 === null ? {} : { Vue: Vue2 };
+
+  return VueDataObjectPath.for(ref ? () => target.value : target, Object.assign(defaults, options));
+}
+
+exports.setVue = setVue;
+
+exports.getVue = getVue;
+
+exports.useObjectPath = useObjectPath;
@@ -1,58 +1,272 @@
-const { parseStringPath } = require('./string-path-parser');
+const { pathCache } = require('./path-cache');
+const { JsonPointer } = require('./json-pointer');
 const { VueDataObjectPathError } = require('./vue-data-object-path-error');
+const { VueDataObjectPathSyntaxError, setLocation, parsePartialPath } = require('./string-path-parser');
+const { stringifyPath, stringifyString } = require('./string-path-stringifier');
+const { Selector, Slice, Placeholder, OptionalChain, Reference, Pick, isSelective, isRecursive, hasPlaceholders, hasReferences, isPicked } = require('./path-segments');
 
 // Symbols for private properties.
 const VUE = Symbol();
+const OPTIONS = Symbol();
+const BINDINGS = Symbol();
 const SET_ROOT = Symbol();
 const SET_NESTED = Symbol();
 const INTERMEDIATE_ACCESS = Symbol();
 const DATA_OBJ = Symbol();
+const READ_PATH = Symbol();
 const SANITIZE_PATH = Symbol();
+const SANITIZE_SINGLE_PATH = Symbol();
+const SANITIZE_WRITE_PATH = Symbol();
+const TRAVERSE = Symbol();
+const EXPAND = Symbol();
+const SET = Symbol();
+const DELETE = Symbol();
+const RESOLVE_INDEX = Symbol();
+const BIND = Symbol();
+const DEREFERENCE = Symbol();
+const PICK = Symbol();
+const REACTIVE_SET = Symbol();
+const REACTIVE_DELETE = Symbol();
+const RESOLVE_WRITE_INDEX = Symbol();
+const GUARD = Symbol();
+
+/**
+ * Takes the place of a reference that does not lead to a value when reading.
+ * No object has this key, so nothing is found past it.
+ */
+const MISSING_KEY = Symbol();
+
+/**
+ * Checks if an object was made observable by Vue 2.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isObservedByVue2(value) {
+  return typeof value === 'object' && value !== null && value.__ob__ !== undefined;
+}
+
+/**
+ * Writes a path for error messages.
+ * @param {any[]} path
+ * @returns {string}
+ */
+function describePath(path) {
+  try {
+    return stringifyPath(path);
+  } catch (e) {
+    // Paths that were given as arrays may not have a string form.
+    return JSON.stringify(path);
+  }
+}
+
+/**
+ * Checks if lodash would treat a key as an array index.
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isLodashIndex(key) {
+  return /^(?:0|[1-9]\d*)$/.test(key) && Number(key) < Number.MAX_SAFE_INTEGER;
+}
 
 exports.VueDataObjectPath = class VueDataObjectPath {
   /**
    * The $objectPath. Gives you access to the API.
-   * @param {Vue} vue
+   * @param {Vue} vue - The component. Works with Vue 2 and Vue 3.
+   * @param {object=} options
+   * @param {boolean=} options.strict - Rejects escape sequences in string
+   * paths that are not part of the standard.
+   * @param {string=} options.dialect - How string paths are written. Either
+   * javascript, the default, or lodash to read them like lodash's get and set
+   * do.
+   * @param {boolean=} options.dynamicRoot - Lets properties be created and
+   * deleted at the root level. Vue components do not allow that in their data
+   * object but other observable objects do.
    */
-  constructor(vue) {
+  constructor(vue, options = {}) {
     /**
-     * The Vue instance.
+     * The Vue instance. In Vue 3 this is the public instance proxy.
      * @member {Vue}
      */
     this[VUE] = vue;
+
+    /**
+     * Options that were passed to the constructor.
+     * @member {object}
+     */
+    this[OPTIONS] = options;
+
+    /**
+     * Values of placeholders that are used when a call does not bind them.
+     * @member {object}
+     */
+    this[BINDINGS] = {};
   }
 
   /**
-   * Retrieves a value.
+   * Creates $objectPath for an observable object other than the data object of
+   * a component, such as a Vue.observable store, the state of Vuex or an
+   * object passed as a prop. Paths start at that object.
+   * @throws {VueDataObjectPathError} - If target cannot be used.
+   * @param {object|function} target - The object, or a function that returns
+   * it on every call.
+   * @param {object=} options - Same options as the constructor, plus:
+   * @param {Vue=} options.Vue - The Vue 2 constructor. Its set and delete
+   * functions make new properties reactive. Vue 3 objects do not need it.
+   * @param {boolean=} options.dynamicRoot - Defaults to true here, since
+   * observable objects accept new properties at the root level. Set it to
+   * false for objects that do not, like the data object of a component.
+   * @returns {VueDataObjectPath}
+   */
+  static for(target, options = {}) {
+    if (typeof target !== 'function' && (typeof target !== 'object' || target === null)) {
+      throw new VueDataObjectPathError('Target must be an object or a function that returns one.');
+    }
+
+    let read = typeof target === 'function' ? target : () => target;
+    let Vue = options.Vue;
+
+    if (Vue === undefined && isObservedByVue2(read())) {
+      // New properties would not be reactive.
+      throw new VueDataObjectPathError('The Vue option is required for objects that were made observable by Vue 2.');
+    }
+
+    // Vue 2 only tracks objects that are read from a reactive property. Each
+    // root is kept in the data of a hidden instance and read from there, which
+    // makes properties that are added to it reactive.
+    let holders = new WeakMap();
+
+    // Stands in for the component.
+    let host = {
+      get $data() {
+        let data = read();
+
+        if (Vue === undefined || !isObservedByVue2(data)) {
+          return data;
+        }
+
+        if (!holders.has(data)) {
+          holders.set(data, new Vue({ data: () => ({ root: data }) }));
+        }
+
+        return holders.get(data).root;
+      },
+    };
+
+    if (Vue !== undefined) {
+      host.$set = Vue.set;
+      host.$delete = Vue.delete;
+    }
+
+    return new VueDataObjectPath(host, Object.assign({ dynamicRoot: true }, options));
+  }
+
+  /**
+   * Creates a copy of $objectPath that fills in placeholders with the given
+   * values. This is how placeholders are bound for methods that do not take a
+   * bindings argument.
+   * @param {object} bindings - Placeholder values by name.
+   * @returns {VueDataObjectPath}
+   */
+  bind(bindings) {
+    let bound = new VueDataObjectPath(this[VUE], this[OPTIONS]);
+
+    bound[BINDINGS] = Object.assign({}, this[BINDINGS], bindings);
+
+    return bound;
+  }
+
+  /**
+   * Retrieves a value. If the path contains wildcards, returns an array with
+   * every value that was found. A path that ends with its only slice returns
+   * every element in range, even undefined ones. If the path ends by selecting several keys
+   * (user.{name,email}), returns them in a new object, or in an array when
+   * every key is an index.
    * @param {string|any[]} path
+   * @param {object=} bindings - Placeholder values by name.
    * @returns {any}
    */
-  get(path) {
-    path = this[SANITIZE_PATH](path);
+  get(path, bindings = {}) {
+    path = this[SANITIZE_PATH](path, bindings, true);
 
-    let current = this[DATA_OBJ]();
+    if (isPicked(path)) {
+      let pick = path[path.length - 1];
+      let prefix = path.slice(0, -1);
 
-    for (let key of path) {
-      if (current[key] !== undefined) {
-        // We can access objects and arrays in the same way.
-        current = current[key];
-      } else {
-        // We can't go any further.
-        return undefined;
+      if (isSelective(prefix)) {
+        return this.getAll(prefix).map(match => this[PICK](match.path, pick));
       }
+
+      return this[PICK](prefix, pick);
     }
 
-    return current;
+    if (path[path.length - 1] instanceof Slice && !isSelective(path.slice(0, -1))) {
+      // Works like Array.prototype.slice, which keeps undefined elements.
+      return this[EXPAND](path)
+        .map(concretePath => this[GUARD](concretePath))
+        .filter(concretePath => concretePath !== null)
+        .map(concretePath => this[TRAVERSE](concretePath));
+    }
+
+    if (isSelective(path)) {
+      return this.getAll(path).map(match => match.value);
+    }
+
+    return this[TRAVERSE](path);
+  }
+
+  /**
+   * Retrieves every value that a path leads to along with the concrete path
+   * of each one. Paths that do not lead to a value are left out.
+   * @param {string|any[]} path
+   * @param {object=} bindings - Placeholder values by name.
+   * @returns {{ path: any[], value: any }[]}
+   */
+  getAll(path, bindings = {}) {
+    path = this[SANITIZE_PATH](path, bindings, true);
+
+    if (isPicked(path)) {
+      throw new VueDataObjectPathError('Multi-property selection can only be used with get, set and delete.');
+    }
+
+    let matches = [];
+
+    for (let concretePath of this[EXPAND](path)) {
+      concretePath = this[GUARD](concretePath);
+
+      if (concretePath === null) {
+        continue;
+      }
+
+      let value = this[TRAVERSE](concretePath);
+
+      if (value !== undefined) {
+        matches.push({ path: concretePath, value });
+      }
+    }
+
+    return matches;
   }
 
   /**
    * Checks if path leads to a meaninful value.
-   * Null and undefined are not considered to be meaningful.
+   * Null and undefined are not considered to be meaningful. If the path
+   * contains wildcards, checks if at least one of the values is meaningful.
    * @param {string|any[]} path
+   * @param {object=} bindings - Placeholder values by name.
    * @returns {boolean}
    */
-  has(path) {
-    let value = this.get(path);
+  has(path, bindings = {}) {
+    path = this[SANITIZE_PATH](path, bindings, true);
+
+    if (isPicked(path)) {
+      throw new VueDataObjectPathError('Multi-property selection can only be used with get, set and delete.');
+    }
+
+    if (isSelective(path)) {
+      return this.getAll(path).some(match => match.value !== null);
+    }
+
+    let value = this[TRAVERSE](path);
     return value !== null && value !== undefined;
   }
 
@@ -77,53 +291,88 @@ exports.VueDataObjectPath = class VueDataObjectPath {
 
   /**
    * Defines a value. Intermediate objects and arrays are created. If the key is
-   * a number then an array is created, otherwise an object is.
+   * a number then an array is created, otherwise an object is. If the path
+   * contains wildcards, the value is stored in every place they match.
+   *
+   * Nothing is written if a segment followed by optional chaining (a?.b) is
+   * missing.
+   *
+   * If the path ends by selecting several keys (user.{name,email}), the value
+   * must be an object, or an array when every key is an index, and each key
+   * is assigned separately. Keys that the value lacks are set to undefined.
    * @param {string|any[]} path
    * @param {any} value
+   * @param {object=} bindings - Placeholder values by name.
+   * @returns {boolean} Whether the value was stored.
    */
-  set(path, value) {
-    path = this[SANITIZE_PATH](path);
+  set(path, value, bindings = {}) {
+    path = this[SANITIZE_WRITE_PATH](path, bindings);
 
-    if (path.length === 1) {
-      return this[SET_ROOT](path, value);
-    } else {
-      return this[SET_NESTED](path, value);
+    let pick = null;
+
+    if (isPicked(path)) {
+      if (typeof value !== 'object' || value === null) {
+        throw new VueDataObjectPathError('Value of multi-property selection must be an object or an array.');
+      }
+
+      pick = path[path.length - 1];
+      path = path.slice(0, -1);
     }
+
+    let concretePaths = isSelective(path) ? this[EXPAND](path) : [path];
+    let stored = false;
+
+    for (let concretePath of concretePaths) {
+      concretePath = this[GUARD](concretePath);
+
+      if (concretePath === null) {
+        continue;
+      }
+
+      if (pick === null) {
+        this[SET](concretePath, value);
+      } else {
+        pick.keys.forEach((key, i) => {
+          this[SET](concretePath.concat([key]), pick.isIndexed() ? value[i] : value[key]);
+        });
+      }
+
+      stored = true;
+    }
+
+    return stored;
   }
 
   /**
    * Deletes a value.
    * Note that this behaves like the delete operator. This means that arrays
-   * are not resized. Use the splice method if you need that behavior.
+   * are not resized. Use the splice method if you need that behavior. If the
+   * path contains wildcards, every value they match is deleted. If it ends by
+   * selecting several keys, each of them is deleted.
    * @param {string|any[]} path
+   * @param {object=} bindings - Placeholder values by name.
    */
-  delete(path) {
-    path = this[SANITIZE_PATH](path);
+  delete(path, bindings = {}) {
+    path = this[SANITIZE_WRITE_PATH](path, bindings);
 
-    if (path.length === 1) {
-      throw new VueDataObjectPathError('Vue does not support dynamic properties at the root level. Use a nested object, instead.');
+    let keys = [[]];
+
+    if (isPicked(path)) {
+      keys = path[path.length - 1].keys.map(key => [key]);
+      path = path.slice(0, -1);
     }
 
-    let container = this.get(path.slice(0, path.length - 1));
+    let concretePaths = isSelective(path) ? this[EXPAND](path) : [path];
 
-    if (typeof container === 'object') {
-      let lastKey = path[path.length - 1];
-
-      if (container instanceof Array) {
-        // When dealing with arrays, we have to set the value to undefined
-        // because that is what the delete operator would do. Vue's $delete
-        // method works more like splice.
+    for (let concretePath of concretePaths) {
+      concretePath = this[GUARD](concretePath);
 
-        // Should only do something if the index is not out of range.
-        if (lastKey < container.length) {
-          // This might look silly but it is important. This makes it reactive.
-          container.splice(lastKey, 1, undefined);
+      if (concretePath === null) {
+        continue;
+      }
 
-          // This does the actual job of deleting the element.
-          delete container[lastKey];
-        }
-      } else {
-        this[VUE].$delete(container, lastKey);
+      for (let key of keys) {
+        this[DELETE](concretePath.concat(key));
       }
     }
   }
@@ -138,16 +387,22 @@ exports.VueDataObjectPath = class VueDataObjectPath {
    * to the end of the array will be deleted. 
    * @param {...any=} items - The elements to add to the array, beginning from
    * start. If you do not specify any elements, this will only remove elements
-   * from the array.
+   * from the array. Placeholders can only be filled in with the bind method.
    * @returns {any[]} Elements that were removed from the array.
    */
   splice(path, start, deleteCount, ...items) {
-    path = this[SANITIZE_PATH](path);
+    path = this[SANITIZE_SINGLE_PATH](path);
+    path = this[GUARD](path);
+
+    if (path === null) {
+      // A segment followed by optional chaining is missing.
+      return [];
+    }
 
     let container = this.get(path);
 
     if (container === undefined) {
-      if (path.length === 1) {
+      if (path.length === 1 && !this[OPTIONS].dynamicRoot) {
         throw new VueDataObjectPathError('Vue does not support dynamic properties at the root level. Either explicitly declare the property or use a nested object.');
       }
 
@@ -173,13 +428,16 @@ exports.VueDataObjectPath = class VueDataObjectPath {
    * Inserts elements into an array.
    * @param {string|any[]} path - Path to an array.
    * @param {number} start - Where in the array to add elements.
-   * @param {...any} items - The elements to add to the array.
+   * @param {...any} items - The elements to add to the array. Placeholders can
+   * only be filled in with the bind method.
    */
   insert(path, start, ...items) {
     if (items.length === 0) {
       throw new VueDataObjectPathError('No items to insert.');
     }
 
+    path = this[SANITIZE_SINGLE_PATH](path);
+
     // The splice method pretty much does insertion but people get frightened of
     // its power and versatility hence why this method exists.
     this.splice(path, start, 0, ...items);
@@ -191,13 +449,16 @@ exports.VueDataObjectPath = class VueDataObjectPath {
    * @param {number} start - Where in the array to add elements.
    * @param {number=} deleteCount - An integer indicating the number of elements
    * in the array to remove from start. If omitted, only one element is removed.
+   * @param {object=} bindings - Placeholder values by name.
    * @returns {any[]} Array of removed elements.
    */
-  remove(path, start, deleteCount = undefined) {
+  remove(path, start, deleteCount = undefined, bindings = {}) {
     if (deleteCount === undefined) {
       deleteCount = 1;
     }
 
+    path = this[SANITIZE_SINGLE_PATH](path, bindings);
+
     let value = this.get(path);
 
     if (value === undefined) {
@@ -214,16 +475,24 @@ exports.VueDataObjectPath = class VueDataObjectPath {
    * Adds one or more elements to the end of an array and returns the new length
    * of the array.
    * @param {string|any[]} path - Path to an array.
-   * @param {...any=} items - The elements to add to the array.
-   * @returns {number} Length of the array.
+   * @param {...any=} items - The elements to add to the array. Placeholders can
+   * only be filled in with the bind method.
+   * @returns {number|undefined} Length of the array. Undefined if a segment
+   * followed by optional chaining is missing.
    */
   push(path, ...items) {
-    path = this[SANITIZE_PATH](path);
+    path = this[SANITIZE_SINGLE_PATH](path);
+    path = this[GUARD](path);
+
+    if (path === null) {
+      // A segment followed by optional chaining is missing.
+      return;
+    }
 
     let container = this.get(path);
 
     if (container === undefined) {
-      if (path.length === 1) {
+      if (path.length === 1 && !this[OPTIONS].dynamicRoot) {
         throw new VueDataObjectPathError('Vue does not support dynamic properties at the root level. Either explicitly declare the property or use a nested object.');
       }
 
@@ -242,15 +511,22 @@ exports.VueDataObjectPath = class VueDataObjectPath {
   /**
    * Removes the last element from an array and returns that element.
    * @param {string|any[]} path - Path to an array.
+   * @param {object=} bindings - Placeholder values by name.
    * @returns {any}
    */
-  pop(path) {
-    path = this[SANITIZE_PATH](path);
+  pop(path, bindings = {}) {
+    path = this[SANITIZE_SINGLE_PATH](path, bindings);
+    path = this[GUARD](path);
+
+    if (path === null) {
+      // A segment followed by optional chaining is missing.
+      return;
+    }
 
     let container = this.get(path);
 
     if (container === undefined) {
-      if (path.length === 1) {
+      if (path.length === 1 && !this[OPTIONS].dynamicRoot) {
         throw new VueDataObjectPathError('Vue does not support dynamic properties at the root level. Either explicitly declare the property or use a nested object.');
       }
 
@@ -269,15 +545,22 @@ exports.VueDataObjectPath = class VueDataObjectPath {
   /**
    * Removes the first element from an array and returns that element.
    * @param {string|any[]} path - Path to an array.
+   * @param {object=} bindings - Placeholder values by name.
    * @returns {any}
    */
-  shift(path) {
-    path = this[SANITIZE_PATH](path);
+  shift(path, bindings = {}) {
+    path = this[SANITIZE_SINGLE_PATH](path, bindings);
+    path = this[GUARD](path);
+
+    if (path === null) {
+      // A segment followed by optional chaining is missing.
+      return;
+    }
 
     let container = this.get(path);
 
     if (container === undefined) {
-      if (path.length === 1) {
+      if (path.length === 1 && !this[OPTIONS].dynamicRoot) {
         throw new VueDataObjectPathError('Vue does not support dynamic properties at the root level. Either explicitly declare the property or use a nested object.');
       }
 
@@ -297,16 +580,24 @@ exports.VueDataObjectPath = class VueDataObjectPath {
    * Adds one or more elements to the beginning of an array and returns the new
    * length of the array.
    * @param {string|any[]} path - Path to an array.
-   * @param {...any=} items - The elements to add to the array.
-   * @returns {number} Length of the array.
+   * @param {...any=} items - The elements to add to the array. Placeholders can
+   * only be filled in with the bind method.
+   * @returns {number|undefined} Length of the array. Undefined if a segment
+   * followed by optional chaining is missing.
    */
   unshift(path, ...items) {
-    path = this[SANITIZE_PATH](path);
+    path = this[SANITIZE_SINGLE_PATH](path);
+    path = this[GUARD](path);
+
+    if (path === null) {
+      // A segment followed by optional chaining is missing.
+      return;
+    }
 
     let container = this.get(path);
 
     if (container === undefined) {
-      if (path.length === 1) {
+      if (path.length === 1 && !this[OPTIONS].dynamicRoot) {
         throw new VueDataObjectPathError('Vue does not support dynamic properties at the root level. Either explicitly declare the property or use a nested object.');
       }
 
@@ -333,9 +624,10 @@ exports.VueDataObjectPath = class VueDataObjectPath {
    *
    * Throws an error on any other type.
    * @param {string|any[]} path
+   * @param {object=} bindings - Placeholder values by name.
    */
-  empty(path) {
-    path = this[SANITIZE_PATH](path);
+  empty(path, bindings = {}) {
+    path = this[SANITIZE_SINGLE_PATH](path, bindings);
 
     let value = this.get(path);
 
@@ -348,7 +640,7 @@ exports.VueDataObjectPath = class VueDataObjectPath {
       value.splice(0);
     } else if (typeof value === 'object') {
       for (let key in value) {
-        this[VUE].$delete(value, key);
+        this[REACTIVE_DELETE](value, key);
       }
     } else if (typeof value === 'undefined') {
       // Do nothing.
@@ -358,12 +650,228 @@ exports.VueDataObjectPath = class VueDataObjectPath {
   }
 
   /**
-   * Analyses path and returns a copy that can be trustworthy.
+   * Lists keys and indexes that could complete a path that is still being
+   * typed, based on the values that exist at that point.
+   *
+   * Keys in dot notation and quoted strings are listed only for objects.
+   * Indexes are listed for arrays when bracket notation is used without
+   * quotes, along with object keys. Those keys are listed in quotes because a
+   * bare name in brackets would be a reference.
+   *
+   * In the lodash dialect, indexes are also listed after a dot and keys in
+   * brackets are not quoted, since that is how lodash reads them.
+   * @param {string} partial - Path that may be incomplete.
+   * @param {object=} bindings - Placeholder values by name.
+   * @returns {(string|number)[]}
+   */
+  complete(partial, bindings = {}) {
+    let { strict, dialect } = this[OPTIONS];
+    let { path, partial: segment } = parsePartialPath(partial, { strict, dialect });
+    let lodash = dialect === 'lodash';
+
+    if (lodash) {
+      // Lodash creates arrays for keys that look like indexes.
+      path = path.map(key => isLodashIndex(key) ? Number(key) : key);
+    }
+
+    if (segment === null) {
+      // Nothing left to complete.
+      return [];
+    }
+
+    let containers = path.length === 0
+      ? [this[DATA_OBJ]()]
+      : this.getAll(path, bindings).map(match => match.value);
+
+    let candidates = new Set();
+
+    for (let container of containers) {
+      if (typeof container !== 'object' || container === null) {
+        continue;
+      }
+
+      if (container instanceof Array) {
+        if (segment.kind !== 'bracket' && !(lodash && segment.kind === 'dot')) {
+          continue;
+        }
+
+        for (let i = 0; i < container.length; i++) {
+          if (String(i).startsWith(segment.text)) {
+            candidates.add(i);
+          }
+        }
+      } else {
+        for (let key of Object.keys(container)) {
+          if (key.startsWith(segment.text)) {
+            candidates.add(segment.kind === 'bracket' && !lodash ? stringifyString(key) : key);
+          }
+        }
+      }
+    }
+
+    return Array.from(candidates);
+  }
+
+  /**
+   * Creates an accessor for a path that leads to a single value. The path is
+   * analysed only once, which makes the accessor faster than the regular
+   * methods when it is used repeatedly.
+   *
+   * Keys may be left as placeholders (rows[:row]) whose values are passed on
+   * every call. References (rows[selected]) are also looked up on every call.
+   * @param {string|any[]} path
+   * @returns {{ get: function, set: function, has: function }}
+   */
+  compile(path) {
+    path = this[READ_PATH](path);
+
+    if (isSelective(path) || isPicked(path)) {
+      throw new VueDataObjectPathError('Path must lead to a single value.');
+    }
+
+    // Segments followed by optional chaining must exist before writing.
+    let guards = [];
+    let segments = [];
+
+    for (let segment of path) {
+      if (segment instanceof OptionalChain) {
+        guards.push(this.compile(segments));
+      } else {
+        segments.push(segment);
+      }
+    }
+
+    // Every key becomes a function of the bindings.
+    let keys = segments.map((segment) => {
+      if (segment instanceof Placeholder) {
+        return bindings => this[BIND](segment, bindings);
+      } else if (segment instanceof Reference) {
+        return (bindings, reading) => this[DEREFERENCE](segment, bindings, reading);
+      } else {
+        return () => segment;
+      }
+    });
+
+    // Chain of functions that each go one level deeper.
+    let getter = current => current;
+
+    for (let i = keys.length - 1; i >= 0; i--) {
+      let key = keys[i];
+      let next = getter;
+
+      getter = (current, bindings) => {
+        if (current === null) {
+          return undefined;
+        }
+
+        let value = current[this[RESOLVE_INDEX](current, key(bindings, true))];
+
+        return value === undefined ? undefined : next(value, bindings);
+      };
+    }
+
+    // Same as the last level access of SET_NESTED.
+    let setter = (current, value, bindings) => {
+      let lastKey = this[RESOLVE_WRITE_INDEX](current, keys[keys.length - 1](bindings));
+
+      this[REACTIVE_SET](current, lastKey, value);
+    };
+
+    // Same as the intermediate levels of SET_NESTED.
+    for (let i = keys.length - 2; i >= 1; i--) {
+      let key = keys[i];
+      let nextKey = keys[i + 1];
+      let next = setter;
+
+      setter = (current, value, bindings) => {
+        let resolvedKey = this[RESOLVE_WRITE_INDEX](current, key(bindings));
+
+        this[INTERMEDIATE_ACCESS](current, resolvedKey, nextKey(bindings));
+
+        next(current[resolvedKey], value, bindings);
+      };
+    }
+
+    let get = (bindings = {}) => getter(this[DATA_OBJ](), bindings);
+
+    return {
+      path,
+
+      get,
+
+      set: (value, bindings = {}) => {
+        if (!guards.every(guard => guard.has(bindings))) {
+          return false;
+        }
+
+        let rootKey = keys[0](bindings);
+
+        if (keys.length === 1) {
+          this[SET_ROOT]([rootKey], value);
+          return true;
+        }
+
+        let data = this[DATA_OBJ]();
+
+        if (this[OPTIONS].dynamicRoot) {
+          this[INTERMEDIATE_ACCESS](data, rootKey, keys[1](bindings));
+        } else if (!(rootKey in data)) {
+          throw new VueDataObjectPathError('Vue does not support dynamic properties at the root level. Either explicitly declare the property or use a nested object.');
+        }
+
+        setter(data[rootKey], value, bindings);
+
+        return true;
+      },
+
+      has: (bindings = {}) => {
+        let value = get(bindings);
+        return value !== null && value !== undefined;
+      },
+    };
+  }
+
+  /**
+   * Analyses path and returns a copy that can be trustworthy. String paths
+   * are parsed once and the frozen result is shared between calls. Keys that
+   * depend on the call, placeholders and references, are filled in.
    * @throws {VueDataObjectPathError} - If path cannot be used.
    * @param {string|any[]} path
+   * @param {object=} bindings - Placeholder values by name.
+   * @param {boolean=} reading - Whether the path is only used to read values,
+   * which lets references that do not lead to a value find nothing instead of
+   * throwing.
    * @returns {string[]}
    */
-  [SANITIZE_PATH](path) {
+  [SANITIZE_PATH](path, bindings = {}, reading = false) {
+    path = this[READ_PATH](path);
+
+    if (path.slice(0, -1).some(segment => segment instanceof Pick)) {
+      throw new VueDataObjectPathError('Multi-property selection must be the last segment.');
+    }
+
+    if (!hasPlaceholders(path) && !hasReferences(path)) {
+      return path;
+    }
+
+    return path.map((segment) => {
+      if (segment instanceof Placeholder) {
+        return this[BIND](segment, bindings);
+      } else if (segment instanceof Reference) {
+        return this[DEREFERENCE](segment, bindings, reading);
+      } else {
+        return segment;
+      }
+    });
+  }
+
+  /**
+   * Turns a path into an array without checking what it contains.
+   * @throws {VueDataObjectPathError} - If path cannot be used.
+   * @param {string|any[]|JsonPointer} path
+   * @returns {any[]}
+   */
+  [READ_PATH](path) {
     if (path instanceof Array) {
       if (path.length === 0) {
         throw new VueDataObjectPathError('Path must not be empty.');
@@ -375,12 +883,268 @@ exports.VueDataObjectPath = class VueDataObjectPath {
         throw new VueDataObjectPathError('Path must not be empty.');
       }
 
-      return parseStringPath(path);
+      let { strict, dialect } = this[OPTIONS];
+
+      // Parsed paths are shared so they must not be modified.
+      let parsed = pathCache.parse(path, { strict, dialect });
+
+      if (dialect === 'lodash') {
+        // Lodash creates arrays for keys that look like indexes.
+        return parsed.map(key => isLodashIndex(key) ? Number(key) : key);
+      }
+
+      return parsed;
+    } else if (path instanceof JsonPointer) {
+      if (path.path.length === 0) {
+        throw new VueDataObjectPathError('Path must not be empty.');
+      }
+
+      // Also frozen.
+      return path.path;
     } else {
       throw new VueDataObjectPathError('Path must be an array or a string.');
     }
   }
 
+  /**
+   * Like SANITIZE_PATH but only accepts paths that lead to a single value.
+   * @throws {VueDataObjectPathError} - If path cannot be used.
+   * @param {string|any[]} path
+   * @param {object=} bindings - Placeholder values by name.
+   * @param {boolean=} reading - Same as in SANITIZE_PATH.
+   * @returns {string[]}
+   */
+  [SANITIZE_SINGLE_PATH](path, bindings = {}, reading = false) {
+    path = this[SANITIZE_PATH](path, bindings, reading);
+
+    if (isSelective(path) || isPicked(path)) {
+      throw new VueDataObjectPathError('Path must lead to a single value.');
+    }
+
+    return path;
+  }
+
+  /**
+   * Like SANITIZE_PATH but only accepts paths that can be written to.
+   * @throws {VueDataObjectPathError} - If path cannot be used.
+   * @param {string|any[]} path
+   * @param {object=} bindings - Placeholder values by name.
+   * @returns {string[]}
+   */
+  [SANITIZE_WRITE_PATH](path, bindings = {}) {
+    path = this[SANITIZE_PATH](path, bindings);
+
+    if (isRecursive(path)) {
+      throw new VueDataObjectPathError('Recursive descent can only be used to read values.');
+    }
+
+    return path;
+  }
+
+  /**
+   * Follows a path that leads to a single value.
+   * @param {any[]} path
+   * @returns {any} Undefined if the path does not lead to a value.
+   */
+  [TRAVERSE](path) {
+    let current = this[DATA_OBJ]();
+
+    for (let key of path) {
+      if (key instanceof OptionalChain) {
+        // Only matters for writes.
+        continue;
+      }
+
+      if (current === null) {
+        // We can't go any further.
+        return undefined;
+      }
+
+      key = this[RESOLVE_INDEX](current, key);
+
+      if (current[key] !== undefined) {
+        // We can access objects and arrays in the same way.
+        current = current[key];
+      } else {
+        // We can't go any further.
+        return undefined;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Reads several keys of the value that a path leads to.
+   * @param {any[]} path - Path that leads to a single value.
+   * @param {Pick} pick
+   * @returns {object|any[]|undefined} Undefined if the path does not lead to
+   * a value. Keys that are missing are still listed, set to undefined.
+   */
+  [PICK](path, pick) {
+    let container = this[TRAVERSE](path);
+
+    if (container === undefined || container === null) {
+      return undefined;
+    }
+
+    let values = pick.keys.map(key => this[TRAVERSE](path.concat([key])));
+
+    if (pick.isIndexed()) {
+      return values;
+    }
+
+    let result = {};
+
+    pick.keys.forEach((key, i) => {
+      result[key] = values[i];
+    });
+
+    return result;
+  }
+
+  /**
+   * Checks segments that are followed by optional chaining.
+   * @param {any[]} path - Path that leads to a single value.
+   * @returns {any[]|null} The path without optional chaining, or null if one
+   * of those segments is missing.
+   */
+  [GUARD](path) {
+    let result = [];
+
+    for (let segment of path) {
+      if (segment instanceof OptionalChain) {
+        let value = this[TRAVERSE](result);
+
+        if (value === undefined || value === null) {
+          return null;
+        }
+      } else {
+        result.push(segment);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Replaces wildcards with the keys they currently match, producing every
+   * concrete path that the given path refers to.
+   * @param {any[]} path
+   * @returns {any[][]}
+   */
+  [EXPAND](path) {
+    let paths = [[]];
+
+    for (let segment of path) {
+      let expanded = [];
+
+      for (let prefix of paths) {
+        if (segment instanceof Selector) {
+          let container = this[TRAVERSE](prefix);
+
+          for (let relativePath of segment.match(container)) {
+            expanded.push(prefix.concat(relativePath));
+          }
+        } else if (typeof segment === 'number' && segment < 0) {
+          // Concrete paths do not have negative indexes.
+          let container = this[TRAVERSE](prefix);
+
+          expanded.push(prefix.concat([this[RESOLVE_INDEX](container, segment)]));
+        } else {
+          expanded.push(prefix.concat([segment]));
+        }
+      }
+
+      paths = expanded;
+    }
+
+    return paths;
+  }
+
+  /**
+   * Stores the value of a path that leads to a single value.
+   * @param {any[]} path
+   * @param {any} value
+   */
+  [SET](path, value) {
+    if (path.length === 1) {
+      this[SET_ROOT](path, value);
+    } else {
+      this[SET_NESTED](path, value);
+    }
+  }
+
+  /**
+   * Deletes the value of a path that leads to a single value.
+   * @param {any[]} path
+   */
+  [DELETE](path) {
+    if (path.length === 1) {
+      if (!this[OPTIONS].dynamicRoot) {
+        throw new VueDataObjectPathError('Vue does not support dynamic properties at the root level. Use a nested object, instead.');
+      }
+
+      this[REACTIVE_DELETE](this[DATA_OBJ](), path[0]);
+      return;
+    }
+
+    let container = this[TRAVERSE](path.slice(0, path.length - 1));
+
+    if (typeof container === 'object') {
+      let lastKey = this[RESOLVE_INDEX](container, path[path.length - 1]);
+
+      this[REACTIVE_DELETE](container, lastKey);
+    }
+  }
+
+  /**
+   * Assigns a value so that Vue notices it, even if the key is new.
+   * @param {object|any[]} container
+   * @param {string|number} key
+   * @param {any} value
+   */
+  [REACTIVE_SET](container, key, value) {
+    if (typeof this[VUE].$set === 'function') {
+      // Vue 2 cannot detect new properties and assignments to indexes.
+      this[VUE].$set(container, key, value);
+    } else {
+      // Vue 3 uses proxies, which see everything.
+      container[key] = value;
+    }
+  }
+
+  /**
+   * Removes a key so that Vue notices it. Elements of arrays are left as
+   * holes, just like the delete operator does.
+   * @param {object|any[]} container
+   * @param {string|number} key
+   */
+  [REACTIVE_DELETE](container, key) {
+    if (container instanceof Array) {
+      // Should only do something if the index is not out of range.
+      if (!(key >= 0 && key < container.length)) {
+        return;
+      }
+
+      if (typeof this[VUE].$set === 'function') {
+        // When dealing with arrays, we have to set the value to undefined
+        // because that is what the delete operator would do. Vue's $delete
+        // method works more like splice.
+
+        // This might look silly but it is important. This makes it reactive.
+        container.splice(key, 1, undefined);
+      }
+
+      // This does the actual job of deleting the element.
+      delete container[key];
+    } else if (typeof this[VUE].$delete === 'function') {
+      this[VUE].$delete(container, key);
+    } else {
+      delete container[key];
+    }
+  }
+
   /**
    * For setting properties on the root level.
    * @param {string|any[]} path
@@ -392,6 +1156,8 @@ exports.VueDataObjectPath = class VueDataObjectPath {
 
     if (key in data) {
       data[key] = value;
+    } else if (this[OPTIONS].dynamicRoot) {
+      this[REACTIVE_SET](data, key, value);
     } else {
       throw new VueDataObjectPathError('Vue does not support dynamic properties at the root level. Either explicitly declare the property or use a nested object.');
     }
@@ -409,7 +1175,10 @@ exports.VueDataObjectPath = class VueDataObjectPath {
     {
       let key = path[0];
 
-      if (key in current) {
+      if (this[OPTIONS].dynamicRoot) {
+        this[INTERMEDIATE_ACCESS](current, key, path[1]);
+        current = current[key];
+      } else if (key in current) {
         current = current[key];
       } else {
         throw new VueDataObjectPathError('Vue does not support dynamic properties at the root level. Either explicitly declare the property or use a nested object.');
@@ -418,7 +1187,7 @@ exports.VueDataObjectPath = class VueDataObjectPath {
 
     // Any intermediate levels are here.
     for (let i = 1; i < (path.length - 1); i++) {
-      let key = path[i];
+      let key = this[RESOLVE_WRITE_INDEX](current, path[i]);
       let nextKey = path[i + 1];
 
       this[INTERMEDIATE_ACCESS](current, key, nextKey);
@@ -428,16 +1197,10 @@ exports.VueDataObjectPath = class VueDataObjectPath {
 
     // Last level access.
     {
-      let lastKey = path[path.length - 1];
-
-      if (typeof lastKey === 'number') {
-        if (lastKey < 0) {
-          throw new VueDataObjectPathError('Negative indexes are not allowed.');
-        }
-      }
+      let lastKey = this[RESOLVE_WRITE_INDEX](current, path[path.length - 1]);
 
       // Works on objects and arrays.
-      this[VUE].$set(current, lastKey, value);
+      this[REACTIVE_SET](current, lastKey, value);
     }
   }
 
@@ -452,12 +1215,15 @@ exports.VueDataObjectPath = class VueDataObjectPath {
       // This is treated as an array.
 
       if (current[key] === undefined) {
-        this[VUE].$set(current, key, []);
+        if (nextKey < 0) {
+          // There is no end to count from.
+          throw new VueDataObjectPathError('Negative indexes can only be used on existing arrays.');
+        }
+
+        this[REACTIVE_SET](current, key, []);
       }
 
-      if (nextKey < 0) {
-        throw new VueDataObjectPathError('Negative indexes are not allowed.');
-      } else if (nextKey > current[key].length) {
+      if (nextKey > current[key].length) {
         // Out of range. Extend array.
         current.length = key;
       }
@@ -465,9 +1231,126 @@ exports.VueDataObjectPath = class VueDataObjectPath {
       // This is treated as an object.
 
       if (current[key] === undefined) {
-        this[VUE].$set(current, key, {});
+        this[REACTIVE_SET](current, key, {});
+      }
+    }
+  }
+
+  /**
+   * Looks up the value of a placeholder. Values passed to the call take
+   * precedence over the ones given to the bind method.
+   * @throws {VueDataObjectPathSyntaxError} - If the value is missing.
+   * @throws {VueDataObjectPathError} - If the value cannot be used as a key.
+   * @param {Placeholder} placeholder
+   * @param {object} bindings
+   * @returns {string|number}
+   */
+  [BIND](placeholder, bindings) {
+    let name = placeholder.name;
+    let value;
+
+    if (Object.prototype.hasOwnProperty.call(bindings, name)) {
+      value = bindings[name];
+    } else if (Object.prototype.hasOwnProperty.call(this[BINDINGS], name)) {
+      value = this[BINDINGS][name];
+    } else {
+      let error = new VueDataObjectPathSyntaxError(`Placeholder :${name} is not bound.`);
+
+      if (placeholder.from !== null) {
+        setLocation(error, placeholder.from, placeholder.to);
+      }
+
+      throw error;
+    }
+
+    // Same keys that can be written in the string grammar.
+    if (placeholder.notation === 'dot') {
+      if (typeof value !== 'string') {
+        throw new VueDataObjectPathError(`Placeholder :${name} must be bound to a string.`);
       }
+    } else if (typeof value !== 'string' && !Number.isInteger(value)) {
+      throw new VueDataObjectPathError(`Placeholder :${name} must be bound to an integer or a string.`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Looks up the key that a reference stands for. Reading it through the data
+   * object lets Vue track it like any other dependency.
+   * @throws {VueDataObjectPathError} - If the value cannot be used as a key.
+   * @param {Reference} reference
+   * @param {object} bindings - Placeholder values by name. References may
+   * contain placeholders too.
+   * @param {boolean=} reading - Whether a missing value may be replaced by a
+   * key that leads nowhere. Writes need to know where they go.
+   * @returns {string|number|symbol}
+   */
+  [DEREFERENCE](reference, bindings, reading = false) {
+    let value = this[TRAVERSE](this[SANITIZE_SINGLE_PATH](reference.path, bindings, reading));
+
+    if (value === undefined && reading) {
+      return MISSING_KEY;
+    }
+
+    if (value === undefined) {
+      throw new VueDataObjectPathError(`Reference ${describePath(reference.path)} does not lead to a value.`);
+    }
+
+    // Same keys that can be written in bracket notation.
+    if (typeof value !== 'string' && !Number.isInteger(value)) {
+      throw new VueDataObjectPathError(`Reference ${describePath(reference.path)} must lead to an integer or a string.`);
     }
+
+    return value;
+  }
+
+  /**
+   * Translates a negative index into a position counted from the end of the
+   * array. Any other key is returned as is.
+   * @param {any} container
+   * @param {string|number} key
+   * @returns {string|number}
+   */
+  [RESOLVE_INDEX](container, key) {
+    if (typeof key === 'number' && key < 0 && container instanceof Array) {
+      return container.length + key;
+    }
+
+    return key;
+  }
+
+  /**
+   * Like RESOLVE_INDEX but for keys that are about to be written to. A negative
+   * index must refer to an element of an existing array. The key - is rejected
+   * on arrays.
+   * @throws {VueDataObjectPathError}
+   * @param {any} container
+   * @param {string|number} key
+   * @returns {string|number}
+   */
+  [RESOLVE_WRITE_INDEX](container, key) {
+    if (key === '-' && container instanceof Array) {
+      // JSON Pointer uses it to refer to the element after the last one, which
+      // only push can add.
+      throw new VueDataObjectPathError('Key - cannot be written to an array. Use push to add to the end of an array.');
+    }
+
+    if (typeof key !== 'number' || key >= 0) {
+      return key;
+    }
+
+    if (!(container instanceof Array)) {
+      throw new VueDataObjectPathError('Negative indexes can only be used on existing arrays.');
+    }
+
+    let index = container.length + key;
+
+    if (index < 0) {
+      throw new VueDataObjectPathError('Negative index is out of range.');
+    }
+
+    return index;
   }
 
   /**
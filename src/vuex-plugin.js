@@ -0,0 +1,104 @@
+const { VueDataObjectPath } = require('./vue-data-object-path');
+const { StoreObjectPath, methods, perform, WRITE } = require('./store-object-path');
+const { getVue } = require('./use-object-path');
+
+// Symbols for private properties.
+const STORE = Symbol();
+const NAMESPACE = Symbol();
+const RESULT = Symbol();
+
+/**
+ * Writes changes to a store by committing the mutations of the plugin, so that
+ * they are allowed in strict mode and show up in the devtools. Reads go
+ * straight to the state.
+ */
+class VuexObjectPath extends StoreObjectPath {
+  /**
+   * @param {Store} store
+   * @param {VueDataObjectPath} objectPath - Works on the state of the store.
+   * @param {string} namespace - Where the mutations were registered.
+   */
+  constructor(store, objectPath, namespace) {
+    super(objectPath);
+
+    this[STORE] = store;
+    this[NAMESPACE] = namespace;
+  }
+
+  /**
+   * Commits the mutation of the plugin with the name of the method.
+   * @param {string} method
+   * @param {object} payload
+   * @returns {any} What the mutation returned.
+   */
+  [WRITE](method, payload) {
+    // Return values cannot pass through commit. Each commit gets its own
+    // place for it, which is hidden from the devtools and from subscribers.
+    let result = { value: undefined };
+
+    Object.defineProperty(payload, RESULT, { value: result });
+
+    this[STORE].commit(`${this[NAMESPACE]}/${method}`, payload);
+
+    return result.value;
+  }
+}
+
+/**
+ * Creates a mutation for each method that changes values. The payload of each
+ * one names the arguments of the method, which is what the devtools display.
+ * Mutations that were committed directly have nowhere to put the return
+ * value.
+ * @param {VueDataObjectPath} op
+ * @returns {object}
+ */
+function createMutations(op) {
+  let mutations = {};
+
+  for (let method of methods) {
+    mutations[method] = (state, payload) => {
+      let value = perform(op, method, payload);
+
+      if (payload[RESULT] !== undefined) {
+        payload[RESULT].value = value;
+      }
+    };
+  }
+
+  return mutations;
+}
+
+/**
+ * Creates a Vuex plugin that registers mutations for every method that
+ * changes values, such as objectPath/set and objectPath/push, and adds
+ * $op and $objectPath to the store to commit them.
+ *
+ * The mutations work on the root state. Paths go through the state of
+ * modules just like any other object. The module that holds them adds
+ * nothing to the state.
+ * @param {object=} options - Same options as VueDataObjectPath.for, plus:
+ * @param {string=} options.namespace - Namespace of the module that holds the
+ * mutations. Defaults to objectPath.
+ * @returns {function}
+ */
+function createVuexPlugin(options = {}) {
+  let namespace = options.namespace === undefined ? 'objectPath' : options.namespace;
+
+  return function (store) {
+    let defaults = getVue() === null ? {} : { Vue: getVue() };
+    let op = VueDataObjectPath.for(() => store.state, Object.assign(defaults, options));
+
+    // Preserving state is what keeps the module from adding its own, which
+    // could replace a key of the root state with the same name.
+    store.registerModule(namespace, {
+      namespaced: true,
+      mutations: createMutations(op),
+    }, { preserveState: true });
+
+    store.$op = store.$objectPath = new VuexObjectPath(store, op, namespace);
+  };
+}
+
+exports.VuexObjectPath = VuexObjectPath;
+
+exports.createVuexPlugin = createVuexPlugin;
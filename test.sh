@@ -14,4 +14,11 @@ for vue_version in $vue_versions; do
 
   # Runs unit tests against this version.
   npx mocha
-done
\ No newline at end of file
+done
+
+# Pinia finds Vue through vue-demi, which can only be set up for one version at
+# a time. It is switched to Vue 3 for the tests that need it and back to Vue 2
+# when the script exits.
+trap 'npx vue-demi-switch 2 vue' EXIT
+npx vue-demi-switch 3 vue3
+npx mocha test/vue3
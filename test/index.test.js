@@ -1,6 +1,8 @@
 const assert = require('assert');
 const Vue = require('vue');
 const VueDataObjectPath = require('..');
+const { Wildcard, Filter, Placeholder, Pick, jsonPointer } = VueDataObjectPath;
+const { VueDataObjectPath: ObjectPath } = require('../src/vue-data-object-path');
 
 Vue.use(VueDataObjectPath);
 
@@ -146,7 +148,7 @@ describe('VueDataObjectPath', () => {
         () => vue.$objectPath.get('array.0'),
         {
           name: 'VueDataObjectPathSyntaxError',
-          message: 'Unexpected character. (near column 6)'
+          message: 'Unexpected character. Expected identifier, "*" or ":". (near column 6)\n\narray.0\n      ^'
         });
     });
 
@@ -193,6 +195,20 @@ describe('VueDataObjectPath', () => {
       assert.strictEqual(vue.$objectPath.get(['booleanFalse']), vue.booleanFalse);
     });
 
+    it('returns undefined when path goes through null', () => {
+      let vue = new Vue({
+        data: {
+          a: {
+            b: null
+          }
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.get('a.b.c'), undefined);
+      assert.strictEqual(vue.$objectPath.get(['a', 'b', 'c', 'd']), undefined);
+      assert.strictEqual(vue.$objectPath.has('a.b.c'), false);
+    });
+
     describe('root access', () => {
       it('retrieves value from vue property', () => {
         let vue = new Vue({
@@ -408,6 +424,92 @@ describe('VueDataObjectPath', () => {
         assert.strictEqual(value, undefined);
       });
 
+      it('counts negative indexes from the end', () => {
+        let vue = new Vue({
+          data: {
+            first: ['one', { second: ['two', 'three'] }]
+          }
+        });
+
+        assert.strictEqual(vue.$objectPath.get(['first', -2]), 'one');
+        assert.strictEqual(vue.$objectPath.get('first[-1].second[-1]'), 'three');
+      });
+
+      it('returns every value matched by wildcard', () => {
+        let vue = new Vue({
+          data: {
+            items: [{ price: 1 }, { price: 2 }, {}]
+          }
+        });
+
+        assert.deepStrictEqual(vue.$objectPath.get('items[*].price'), [1, 2]);
+        assert.deepStrictEqual(vue.$objectPath.get('items[3].*'), []);
+      });
+
+      it('returns slice of array', () => {
+        let vue = new Vue({
+          data: {
+            rows: [0, 1, 2, 3, 4, 5]
+          }
+        });
+
+        assert.deepStrictEqual(vue.$objectPath.get('rows[1:3]'), [1, 2]);
+        assert.deepStrictEqual(vue.$objectPath.get('rows[-2:]'), [4, 5]);
+        assert.deepStrictEqual(vue.$objectPath.get('rows[:-4]'), [0, 1]);
+        assert.deepStrictEqual(vue.$objectPath.get('rows[::2]'), [0, 2, 4]);
+        assert.deepStrictEqual(vue.$objectPath.get('rows[4:100]'), [4, 5]);
+        assert.deepStrictEqual(vue.$objectPath.get('rows[3:1]'), []);
+      });
+
+      it('keeps undefined elements of slice', () => {
+        let vue = new Vue({
+          data: {
+            rows: [1, undefined, 3]
+          }
+        });
+
+        assert.deepStrictEqual(vue.$objectPath.get('rows[0:3]'), [1, undefined, 3]);
+        assert.deepStrictEqual(vue.$objectPath.get('rows[0:3]'), vue.rows.slice(0, 3));
+        assert.deepStrictEqual(vue.$objectPath.get('rows?.[1:]'), [undefined, 3]);
+        assert.deepStrictEqual(vue.$objectPath.get('missing?.[1:]'), []);
+      });
+
+      it('is reactive with slices', () => {
+        let called = 0;
+
+        let vue = new Vue({
+          data: {
+            rows: [0, 1],
+          },
+
+          computed: {
+            lastTwo() {
+              called += 1;
+              return this.$objectPath.get('rows[-2:]');
+            }
+          }
+        });
+
+        assert.deepStrictEqual(vue.lastTwo, [0, 1]);
+
+        vue.$objectPath.push('rows', 2);
+
+        assert.deepStrictEqual(vue.lastTwo, [1, 2]);
+        assert.strictEqual(called, 2);
+      });
+
+      it('returns undefined if negative index is out of range', () => {
+        let vue = new Vue({
+          data: {
+            first: ['value']
+          }
+        });
+
+        let value = vue.$objectPath.get(['first', -2]);
+
+        assert.strictEqual(value, undefined);
+      });
+
       it('is not reactive by simple assignment', () => {
         let called = 0;
 
@@ -482,6 +584,258 @@ describe('VueDataObjectPath', () => {
     });
   });
 
+  describe('getAll', () => {
+    createTestsForInvalidPaths((vue, path) => vue.$objectPath.getAll(path));
+
+    it('returns value and path of every array element matched by wildcard', () => {
+      let vue = new Vue({
+        data: {
+          items: [{ price: 1 }, { price: 2 }]
+        }
+      });
+
+      let matches = vue.$objectPath.getAll('items[*].price');
+
+      assert.deepStrictEqual(matches, [
+        { path: ['items', 0, 'price'], value: 1 },
+        { path: ['items', 1, 'price'], value: 2 },
+      ]);
+    });
+
+    it('returns value and path of every object property matched by wildcard', () => {
+      let vue = new Vue({
+        data: {
+          users: {
+            alice: { email: 'alice@example.com' },
+            bob: { email: 'bob@example.com' },
+          }
+        }
+      });
+
+      let matches = vue.$objectPath.getAll('users.*.email');
+
+      assert.deepStrictEqual(matches, [
+        { path: ['users', 'alice', 'email'], value: 'alice@example.com' },
+        { path: ['users', 'bob', 'email'], value: 'bob@example.com' },
+      ]);
+    });
+
+    it('accepts wildcard in array path', () => {
+      let vue = new Vue({
+        data: {
+          items: ['first', 'second']
+        }
+      });
+
+      let matches = vue.$objectPath.getAll(['items', new Wildcard()]);
+
+      assert.deepStrictEqual(matches, [
+        { path: ['items', 0], value: 'first' },
+        { path: ['items', 1], value: 'second' },
+      ]);
+    });
+
+    it('leaves out paths that do not lead to a value', () => {
+      let vue = new Vue({
+        data: {
+          items: [{ price: 1 }, {}, 'text', null]
+        }
+      });
+
+      let matches = vue.$objectPath.getAll('items[*].price');
+
+      assert.deepStrictEqual(matches, [
+        { path: ['items', 0, 'price'], value: 1 },
+      ]);
+    });
+
+    it('finds property at any depth with recursive descent', () => {
+      let vue = new Vue({
+        data: {
+          config: {
+            id: 1,
+            children: [
+              { id: 2 },
+              { nested: { id: 3 } },
+            ]
+          }
+        }
+      });
+
+      let matches = vue.$objectPath.getAll('config..id');
+
+      assert.deepStrictEqual(matches, [
+        { path: ['config', 'id'], value: 1 },
+        { path: ['config', 'children', 0, 'id'], value: 2 },
+        { path: ['config', 'children', 1, 'nested', 'id'], value: 3 },
+      ]);
+    });
+
+    it('returns paths that can be passed back to set', () => {
+      let vue = new Vue({
+        data: {
+          form: {
+            errors: [],
+            address: { errors: ['required'] }
+          }
+        }
+      });
+
+      for (let match of vue.$objectPath.getAll('form..errors')) {
+        vue.$objectPath.set(match.path, []);
+      }
+
+      assert.strictEqual(vue.form.errors.length, 0);
+      assert.strictEqual(vue.form.address.errors.length, 0);
+    });
+
+    it('does not loop forever on circular references', () => {
+      let circular = { id: 1 };
+      circular.self = circular;
+
+      let vue = new Vue({
+        data: {
+          circular
+        }
+      });
+
+      let matches = vue.$objectPath.getAll('circular..id');
+
+      assert.deepStrictEqual(matches, [
+        { path: ['circular', 'id'], value: 1 },
+      ]);
+    });
+
+    it('is reactive with recursive descent after property is created', () => {
+      let called = 0;
+
+      let vue = new Vue({
+        data: {
+          tree: { child: {} },
+        },
+
+        computed: {
+          ids() {
+            called += 1;
+            return this.$objectPath.get('tree..id');
+          }
+        }
+      });
+
+      assert.deepStrictEqual(vue.ids, []);
+
+      vue.$objectPath.set('tree.child.id', 1);
+
+      assert.deepStrictEqual(vue.ids, [1]);
+      assert.strictEqual(called, 2);
+    });
+
+    it('returns elements that pass filter', () => {
+      let vue = new Vue({
+        data: {
+          items: [
+            { id: 41, active: true },
+            { id: 42, active: false },
+            { id: 43, active: true },
+          ]
+        }
+      });
+
+      assert.deepStrictEqual(vue.$objectPath.getAll('items[?(@.id == 42)].active'), [
+        { path: ['items', 1, 'active'], value: false },
+      ]);
+      assert.deepStrictEqual(vue.$objectPath.getAll('items[?(@.active == true && @.id > 41)].id'), [
+        { path: ['items', 2, 'id'], value: 43 },
+      ]);
+    });
+
+    it('accepts filter function in array path', () => {
+      let vue = new Vue({
+        data: {
+          items: [{ id: 41 }, { id: 42 }]
+        }
+      });
+
+      let matches = vue.$objectPath.getAll(['items', new Filter(item => item.id > 41), 'id']);
+
+      assert.deepStrictEqual(matches, [
+        { path: ['items', 1, 'id'], value: 42 },
+      ]);
+    });
+
+    it('does not order values of different types', () => {
+      let vue = new Vue({
+        data: {
+          items: [{ id: '42' }, { id: 42 }, { id: null }]
+        }
+      });
+
+      assert.deepStrictEqual(vue.$objectPath.get('items[?(@.id >= 42)].id'), [42]);
+      assert.deepStrictEqual(vue.$objectPath.get('items[?(@.id != 42)].id'), ['42', null]);
+    });
+
+    it('is reactive with filters', () => {
+      let called = 0;
+
+      let vue = new Vue({
+        data: {
+          items: [{ id: 1, active: false }, { id: 2, active: false }],
+        },
+
+        computed: {
+          active() {
+            called += 1;
+            return this.$objectPath.get('items[?(@.active == true)].id');
+          }
+        }
+      });
+
+      assert.deepStrictEqual(vue.active, []);
+
+      vue.$objectPath.set('items[1].active', true);
+
+      assert.deepStrictEqual(vue.active, [2]);
+      assert.strictEqual(called, 2);
+    });
+
+    it('returns single match when path has no wildcards', () => {
+      let vue = new Vue({
+        data: {
+          items: ['first', 'second']
+        }
+      });
+
+      assert.deepStrictEqual(vue.$objectPath.getAll('items[-1]'), [
+        { path: ['items', 1], value: 'second' },
+      ]);
+      assert.deepStrictEqual(vue.$objectPath.getAll('items[2]'), []);
+    });
+
+    it('is reactive after element is added', () => {
+      let called = 0;
+
+      let vue = new Vue({
+        data: {
+          items: [{ price: 1 }],
+        },
+
+        computed: {
+          prices() {
+            called += 1;
+            return this.$objectPath.getAll('items[*].price').map(match => match.value);
+          }
+        }
+      });
+
+      assert.deepStrictEqual(vue.prices, [1]);
+
+      vue.$objectPath.push('items', { price: 2 });
+
+      assert.deepStrictEqual(vue.prices, [1, 2]);
+      assert.strictEqual(called, 2);
+    });
+  });
+
   describe('has', () => {
     createTestsForInvalidPaths((vue, path) => vue.$objectPath.has(path));
 
@@ -551,6 +905,30 @@ describe('VueDataObjectPath', () => {
       assert.strictEqual(vue.$objectPath.has(['nested', 'empty', 'object']), false);
     });
 
+    it('counts negative indexes from the end', () => {
+      let vue = new Vue({
+        data: {
+          array: [null, 'value']
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.has('array[-1]'), true);
+      assert.strictEqual(vue.$objectPath.has('array[-2]'), false);
+      assert.strictEqual(vue.$objectPath.has('array[-3]'), false);
+    });
+
+    it('returns true when wildcard matches at least one meaningful value', () => {
+      let vue = new Vue({
+        data: {
+          empty: [null, undefined],
+          array: [null, 'value']
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.has('array[*]'), true);
+      assert.strictEqual(vue.$objectPath.has('empty[*]'), false);
+    });
+
     it('is reactive with existing value', () => {
       let called = 0;
 
@@ -803,7 +1181,32 @@ describe('VueDataObjectPath', () => {
         assert.strictEqual(vue.first[2], 'value');
       });
 
-      it('negative indexes are not allowed', () => {
+      it('counts negative indexes from the end', () => {
+        let vue = new Vue({
+          data: {
+            first: ['one', 'two', 'three']
+          }
+        });
+
+        vue.$objectPath.set(['first', -1], 'newvalue');
+        vue.$objectPath.set('first[-3]', 'othervalue');
+
+        assert.deepStrictEqual(vue.first.slice(), ['othervalue', 'two', 'newvalue']);
+      });
+
+      it('creates intermediate objects inside element found by negative index', () => {
+        let vue = new Vue({
+          data: {
+            first: [{}, {}]
+          }
+        });
+
+        vue.$objectPath.set('first[-1].nested.value', 'newvalue');
+
+        assert.strictEqual(vue.first[1].nested.value, 'newvalue');
+      });
+
+      it('fails when negative index is out of range', () => {
         let vue = new Vue({
           data: {
             first: ['oldvalue']
@@ -812,27 +1215,156 @@ describe('VueDataObjectPath', () => {
 
         assert.throws(
           () => {
-            vue.$objectPath.set(['first', -1], 'newvalue');
+            vue.$objectPath.set(['first', -2], 'newvalue');
           },
           {
-            message: 'Negative indexes are not allowed.'
+            message: 'Negative index is out of range.'
           });
       });
 
-      it('is reactive', async () => {
-        await new Promise((resolve, reject) => {
-          let vue = new Vue({
-            data: {
-              array: ['existingValue']
-            },
+      it('fails when negative index is used on array that does not exist', () => {
+        let vue = new Vue({
+          data: {
+            nested: {}
+          }
+        });
+
+        assert.throws(
+          () => {
+            vue.$objectPath.set(['nested', 'array', -1], 'newvalue');
+          },
+          {
+            message: 'Negative indexes can only be used on existing arrays.'
           });
 
-          vue.$watch(
-            () => vue.array[1],
-            (newVal, oldVal) => {
-              if (newVal === 'newvalue') {
-                // As expected.
-                resolve();
+        assert.strictEqual(vue.nested.array, undefined);
+      });
+
+      it('stores value in every place matched by wildcard', () => {
+        let vue = new Vue({
+          data: {
+            items: [{ selected: false }, {}]
+          }
+        });
+
+        vue.$objectPath.set('items[*].selected', true);
+
+        assert.strictEqual(vue.items[0].selected, true);
+        assert.strictEqual(vue.items[1].selected, true);
+      });
+
+      it('stores value in every element of slice', () => {
+        let vue = new Vue({
+          data: {
+            rows: [{}, {}, {}, {}]
+          }
+        });
+
+        vue.$objectPath.set('rows[0:2].selected', true);
+
+        assert.strictEqual(vue.rows[0].selected, true);
+        assert.strictEqual(vue.rows[1].selected, true);
+        assert.strictEqual(vue.rows[2].selected, undefined);
+        assert.strictEqual(vue.rows[3].selected, undefined);
+      });
+
+      it('stores value in every element that passes filter', () => {
+        let vue = new Vue({
+          data: {
+            items: [{ id: 41 }, { id: 42 }]
+          }
+        });
+
+        vue.$objectPath.set('items[?(@.id == 42)].name', 'answer');
+
+        assert.strictEqual(vue.items[0].name, undefined);
+        assert.strictEqual(vue.items[1].name, 'answer');
+      });
+
+      it('does nothing when wildcard matches nothing', () => {
+        let vue = new Vue({
+          data: {
+            items: []
+          }
+        });
+
+        vue.$objectPath.set('items[*].selected', true);
+
+        assert.strictEqual(vue.items.length, 0);
+      });
+
+      it('is reactive when storing value with wildcard', async () => {
+        await new Promise((resolve, reject) => {
+          let vue = new Vue({
+            data: {
+              items: [{}, {}]
+            },
+          });
+
+          vue.$watch(
+            () => vue.items[1].selected,
+            (newVal, oldVal) => {
+              if (newVal === true) {
+                // As expected.
+                resolve();
+              } else {
+                reject(new Error('Reacted but the new value is incorrect.'));
+              }
+            });
+
+          vue.$objectPath.set('items[*].selected', true);
+
+          // This reject call will only work if resolve wasn't called.
+          setImmediate(() => reject(new Error('Did not react')));
+        });
+      });
+
+      it('fails when path contains recursive descent', () => {
+        let vue = new Vue({
+          data: {
+            tree: {}
+          }
+        });
+
+        assert.throws(
+          () => {
+            vue.$objectPath.set('tree..id', 1);
+          },
+          {
+            message: 'Recursive descent can only be used to read values.'
+          });
+      });
+
+      it('fails when negative index is used on an object', () => {
+        let vue = new Vue({
+          data: {
+            nested: {}
+          }
+        });
+
+        assert.throws(
+          () => {
+            vue.$objectPath.set(['nested', -1], 'newvalue');
+          },
+          {
+            message: 'Negative indexes can only be used on existing arrays.'
+          });
+      });
+
+      it('is reactive', async () => {
+        await new Promise((resolve, reject) => {
+          let vue = new Vue({
+            data: {
+              array: ['existingValue']
+            },
+          });
+
+          vue.$watch(
+            () => vue.array[1],
+            (newVal, oldVal) => {
+              if (newVal === 'newvalue') {
+                // As expected.
+                resolve();
               } else {
                 reject(new Error('Reacted but the new value is incorrect.'));
               }
@@ -1036,6 +1568,50 @@ describe('VueDataObjectPath', () => {
       assert.strictEqual(vue.array[0], 1);
       assert(1 in vue.array === false);
     });
+
+    it('counts negative indexes from the end', () => {
+      let vue = new Vue({
+        data: {
+          array: ['first', 'second']
+        }
+      });
+
+      vue.$objectPath.delete('array[-1]');
+
+      assert.strictEqual(vue.array.length, 2);
+      assert.strictEqual(vue.array[0], 'first');
+      assert(1 in vue.array === false);
+    });
+
+    it('deletes every value matched by wildcard', () => {
+      let vue = new Vue({
+        data: {
+          users: {
+            alice: { email: 'alice@example.com', name: 'Alice' },
+            bob: { email: 'bob@example.com', name: 'Bob' },
+          }
+        }
+      });
+
+      vue.$objectPath.delete('users.*.email');
+
+      assert('email' in vue.users.alice === false);
+      assert('email' in vue.users.bob === false);
+      assert.strictEqual(vue.users.bob.name, 'Bob');
+    });
+
+    it('does nothing if negative index is out of range', () => {
+      let vue = new Vue({
+        data: {
+          array: [1]
+        },
+      });
+
+      vue.$objectPath.delete(['array', -2]);
+
+      assert.strictEqual(vue.array.length, 1);
+      assert.strictEqual(vue.array[0], 1);
+    });
   });
 
   describe('splice', () => {
@@ -1479,6 +2055,51 @@ describe('VueDataObjectPath', () => {
       assert.strictEqual(vue.nested.doesNotExist[0], 0, 'Should have correct element');
     });
 
+    it('fails when path contains wildcard', () => {
+      let vue = new Vue({
+        data: {
+          lists: [[1], [2]]
+        }
+      });
+
+      assert.throws(
+        () => {
+          vue.$objectPath.push('lists[*]', 3);
+        },
+        {
+          message: 'Path must lead to a single value.'
+        });
+    });
+
+    it('finds array with negative index', () => {
+      let vue = new Vue({
+        data: {
+          lists: [[1], [2]]
+        }
+      });
+
+      vue.$objectPath.push('lists[-1]', 3);
+
+      assert.deepStrictEqual(vue.lists[0].slice(), [1]);
+      assert.deepStrictEqual(vue.lists[1].slice(), [2, 3]);
+    });
+
+    it('fails when negative index is out of range', () => {
+      let vue = new Vue({
+        data: {
+          lists: []
+        }
+      });
+
+      assert.throws(
+        () => {
+          vue.$objectPath.push('lists[-1]', 3);
+        },
+        {
+          message: 'Negative index is out of range.'
+        });
+    });
+
     it('throws error if array were to be created in root', () => {
       let vue = new Vue({
         data: {}
@@ -2159,4 +2780,1092 @@ describe('VueDataObjectPath', () => {
       });
     });
   });
+
+  describe('compile', () => {
+    it('reads value', () => {
+      let vue = new Vue({
+        data: {
+          rows: [{ price: 1 }, { price: 2 }]
+        }
+      });
+
+      let price = vue.$objectPath.compile('rows[1].price');
+
+      assert.strictEqual(price.get(), 2);
+      assert.strictEqual(price.has(), true);
+    });
+
+    it('reads value with placeholders', () => {
+      let vue = new Vue({
+        data: {
+          rows: [{ price: 1 }, { price: 2 }]
+        }
+      });
+
+      let price = vue.$objectPath.compile('rows[:row].price');
+
+      assert.strictEqual(price.get({ row: 0 }), 1);
+      assert.strictEqual(price.get({ row: -1 }), 2);
+    });
+
+    it('returns undefined if path does not lead to a value', () => {
+      let vue = new Vue({
+        data: {
+          rows: [{ price: 1 }, null]
+        }
+      });
+
+      let price = vue.$objectPath.compile('rows[:row].price');
+
+      assert.strictEqual(price.get({ row: 1 }), undefined);
+      assert.strictEqual(price.get({ row: 5 }), undefined);
+      assert.strictEqual(price.has({ row: 5 }), false);
+    });
+
+    it('sets value with placeholders', () => {
+      let vue = new Vue({
+        data: {
+          rows: [{ price: 1 }, { price: 2 }]
+        }
+      });
+
+      let price = vue.$objectPath.compile('rows[:row].price');
+
+      price.set(3, { row: 1 });
+
+      assert.strictEqual(vue.rows[1].price, 3);
+    });
+
+    it('creates intermediate objects and arrays', () => {
+      let vue = new Vue({
+        data: {
+          rows: []
+        }
+      });
+
+      let tag = vue.$objectPath.compile('rows[:row].tags[:tag]');
+
+      tag.set('new', { row: 0, tag: 0 });
+
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(vue.rows)), [{ tags: ['new'] }]);
+    });
+
+    it('sets value at root level', () => {
+      let vue = new Vue({
+        data: {
+          total: 0
+        }
+      });
+
+      vue.$objectPath.compile('total').set(10);
+
+      assert.strictEqual(vue.total, 10);
+    });
+
+    it('fails to set property that does not exist at root level', () => {
+      let vue = new Vue();
+
+      assert.throws(
+        () => vue.$objectPath.compile('a.b').set(1),
+        {
+          message: 'Vue does not support dynamic properties at the root level. Either explicitly declare the property or use a nested object.'
+        });
+    });
+
+    it('fails when placeholder is not bound', () => {
+      let vue = new Vue({
+        data: {
+          rows: []
+        }
+      });
+
+      let price = vue.$objectPath.compile('rows[:row].price');
+
+      assert.throws(
+        () => price.get(),
+        {
+          message: 'Placeholder :row is not bound. (near column 5 up to 9)'
+        });
+
+      assert.throws(
+        () => price.get({ row: 1.5 }),
+        {
+          message: 'Placeholder :row must be bound to an integer or a string.'
+        });
+    });
+
+    it('fails when path may lead to more than one value', () => {
+      let vue = new Vue();
+
+      assert.throws(
+        () => vue.$objectPath.compile('rows[*].price'),
+        {
+          message: 'Path must lead to a single value.'
+        });
+    });
+
+    it('triggers reactivity', () => {
+      return new Promise((resolve, reject) => {
+        let vue = new Vue({
+          data: {
+            rows: [{ price: 1 }]
+          }
+        });
+
+        vue.$watch(
+          () => vue.rows[0].price,
+          (newVal, oldVal) => {
+            if (newVal === 2) {
+              // As expected.
+              resolve();
+            } else {
+              reject(new Error('Reacted but the new value is incorrect.'));
+            }
+          });
+
+        vue.$objectPath.compile('rows[:row].price').set(2, { row: 0 });
+
+        // This reject call will only work if resolve wasn't called.
+        setImmediate(() => reject(new Error('Did not react')));
+      });
+    });
+  });
+
+  describe('bindings', () => {
+    it('fills in placeholders in bracket notation', () => {
+      let vue = new Vue({
+        data: {
+          rows: [{ cells: ['a', 'b'] }, { cells: ['c', 'd'] }]
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.get('rows[:i].cells[:j]', { i: 1, j: 0 }), 'c');
+      assert.strictEqual(vue.$objectPath.get('rows[:i].cells[:j]', { i: 0, j: -1 }), 'b');
+      assert.strictEqual(vue.$objectPath.has('rows[:i]', { i: 2 }), false);
+    });
+
+    it('fills in placeholders in dot notation', () => {
+      let vue = new Vue({
+        data: {
+          users: {
+            'user 1': { name: 'Alice' }
+          }
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.get('users.:id.name', { id: 'user 1' }), 'Alice');
+      assert.strictEqual(vue.$objectPath.get('users[:id].name', { id: 'user 1' }), 'Alice');
+    });
+
+    it('fills in placeholders of array paths', () => {
+      let vue = new Vue({
+        data: {
+          rows: ['a', 'b']
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.get(['rows', new Placeholder('i')], { i: 1 }), 'b');
+    });
+
+    it('sets and deletes values', () => {
+      let vue = new Vue({
+        data: {
+          rows: [{ price: 1 }]
+        }
+      });
+
+      vue.$objectPath.set('rows[:i].price', 2, { i: 0 });
+      assert.strictEqual(vue.rows[0].price, 2);
+
+      vue.$objectPath.delete('rows[:i].price', { i: 0 });
+      assert.strictEqual('price' in vue.rows[0], false);
+    });
+
+    it('binds placeholders for array methods', () => {
+      let vue = new Vue({
+        data: {
+          rows: [{ cells: ['a'] }]
+        }
+      });
+
+      let row = vue.$objectPath.bind({ i: 0 });
+
+      row.push('rows[:i].cells', 'b');
+      row.insert('rows[:i].cells', 0, 'c');
+
+      assert.deepStrictEqual(vue.rows[0].cells.slice(), ['c', 'a', 'b']);
+      assert.strictEqual(row.pop('rows[:i].cells'), 'b');
+    });
+
+    it('takes bindings in array methods', () => {
+      let vue = new Vue({
+        data: {
+          rows: [{ cells: ['a'] }],
+          text: { a: 'x' }
+        }
+      });
+
+      let op = vue.$objectPath;
+      let row = op.bind({ i: 0 });
+
+      assert.strictEqual(row.push('rows[:i].cells', 'b'), 2);
+      assert.strictEqual(row.unshift('rows[:i].cells', 'c'), 3);
+      row.insert('rows[:i].cells', 1, 'd');
+      assert.deepStrictEqual(vue.rows[0].cells.slice(), ['c', 'd', 'a', 'b']);
+
+      assert.strictEqual(op.pop('rows[:i].cells', { i: 0 }), 'b');
+      assert.strictEqual(op.shift('rows[:i].cells', { i: 0 }), 'c');
+      assert.deepStrictEqual(row.splice('rows[:i].cells', 0, 1, 'e'), ['d']);
+      assert.deepStrictEqual(op.remove('rows[:i].cells', 0, 1, { i: 0 }), ['e']);
+      assert.deepStrictEqual(row.splice('rows[:i].cells', 0), ['a']);
+
+      op.empty('text.:key', { key: 'a' });
+      assert.strictEqual(vue.text.a, '');
+    });
+
+    it('treats every argument of array methods that take items as an item', () => {
+      let vue = new Vue({
+        data: {
+          rows: [{ cells: [] }]
+        }
+      });
+
+      vue.$objectPath.bind({ i: 0 }).push('rows[:i].cells', { i: 1 });
+      vue.$objectPath.push('rows[0].cells', { i: 2 });
+
+      assert.deepStrictEqual(vue.rows[0].cells.map(cell => cell.i), [1, 2]);
+
+      // An object at the end is not mistaken for bindings.
+      for (let call of [
+        op => op.push('rows[:i].cells', { i: 0 }),
+        op => op.unshift('rows[:i].cells', { i: 0 }),
+        op => op.splice('rows[:i].cells', 0, 0, { i: 0 }),
+        op => op.insert('rows[:i].cells', 0, { i: 0 }),
+      ]) {
+        assert.throws(
+          () => call(vue.$objectPath),
+          {
+            name: 'VueDataObjectPathSyntaxError',
+            message: 'Placeholder :i is not bound. (near column 5 up to 7)'
+          });
+      }
+
+      assert.strictEqual(vue.rows[0].cells.length, 2);
+    });
+
+    it('prefers bindings passed to the call over bound ones', () => {
+      let vue = new Vue({
+        data: {
+          rows: ['a', 'b']
+        }
+      });
+
+      let bound = vue.$objectPath.bind({ i: 0 });
+
+      assert.strictEqual(bound.get('rows[:i]'), 'a');
+      assert.strictEqual(bound.get('rows[:i]', { i: 1 }), 'b');
+      assert.strictEqual(bound.bind({ i: 1 }).get('rows[:i]'), 'b');
+    });
+
+    it('fails with location when placeholder is not bound', () => {
+      let vue = new Vue({
+        data: {
+          rows: []
+        }
+      });
+
+      assert.throws(
+        () => vue.$objectPath.get('rows[:i].cells[:j]', { i: 0 }),
+        {
+          name: 'VueDataObjectPathSyntaxError',
+          message: 'Placeholder :j is not bound. (near column 15 up to 17)'
+        });
+    });
+
+    it('fails when value cannot be used as a key', () => {
+      let vue = new Vue({
+        data: {
+          users: {}
+        }
+      });
+
+      assert.throws(
+        () => vue.$objectPath.get('users.:id', { id: 1 }),
+        {
+          message: 'Placeholder :id must be bound to a string.'
+        });
+
+      assert.throws(
+        () => vue.$objectPath.get('users[:id]', { id: null }),
+        {
+          message: 'Placeholder :id must be bound to an integer or a string.'
+        });
+    });
+  });
+
+  describe('jsonPointer', () => {
+    it('reads value', () => {
+      let vue = new Vue({
+        data: {
+          user: {
+            addresses: [{ street: 'Main' }]
+          }
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.get(jsonPointer('/user/addresses/0/street')), 'Main');
+      assert.strictEqual(vue.$objectPath.has(jsonPointer('/user/addresses/1')), false);
+    });
+
+    it('creates arrays for index segments', () => {
+      let vue = new Vue({
+        data: {
+          form: {}
+        }
+      });
+
+      vue.$objectPath.set(jsonPointer('/form/tags/0/name'), 'first');
+      vue.$objectPath.set(jsonPointer('/form/a~1b'), 'slash');
+
+      assert.ok(vue.form.tags instanceof Array);
+      assert.strictEqual(vue.form.tags[0].name, 'first');
+      assert.strictEqual(vue.form['a/b'], 'slash');
+    });
+
+    it('treats - as a key of objects', () => {
+      let vue = new Vue({
+        data: {
+          obj: { '-': 'dash' }
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.get(jsonPointer('/obj/-')), 'dash');
+
+      vue.$objectPath.set(jsonPointer('/obj/-'), 'changed');
+
+      assert.strictEqual(vue.obj['-'], 'changed');
+    });
+
+    it('fails when - would be written to an array', () => {
+      let vue = new Vue({
+        data: {
+          list: ['a']
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.get(jsonPointer('/list/-')), undefined);
+
+      for (let call of [
+        op => op.set(jsonPointer('/list/-'), 'b'),
+        op => op.set(jsonPointer('/list/-/name'), 'b'),
+        op => op.push(jsonPointer('/list/-'), 'b'),
+      ]) {
+        assert.throws(
+          () => call(vue.$objectPath),
+          {
+            name: 'VueDataObjectPathError',
+            message: 'Key - cannot be written to an array. Use push to add to the end of an array.'
+          });
+      }
+
+      assert.deepStrictEqual(vue.list.slice(), ['a']);
+    });
+
+    it('fails when pointer refers to the whole document', () => {
+      let vue = new Vue();
+
+      assert.throws(
+        () => vue.$objectPath.get(jsonPointer('')),
+        {
+          message: 'Path must not be empty.'
+        });
+    });
+  });
+
+  describe('complete', () => {
+    it('lists keys at root level', () => {
+      let vue = new Vue({
+        data: {
+          user: {},
+          users: [],
+          items: [],
+        }
+      });
+
+      assert.deepStrictEqual(vue.$objectPath.complete('use'), ['user', 'users']);
+      assert.deepStrictEqual(vue.$objectPath.complete(''), ['user', 'users', 'items']);
+    });
+
+    it('lists keys of object', () => {
+      let vue = new Vue({
+        data: {
+          user: {
+            address: 'Main Street',
+            addressLine2: '',
+            name: 'Alice',
+          }
+        }
+      });
+
+      assert.deepStrictEqual(vue.$objectPath.complete('user.addr'), ['address', 'addressLine2']);
+      assert.deepStrictEqual(vue.$objectPath.complete('user["na'), ['name']);
+    });
+
+    it('quotes keys of object in bracket notation', () => {
+      let vue = new Vue({
+        data: {
+          user: {
+            name: 'Alice',
+            'say "hi"': '',
+          }
+        }
+      });
+
+      assert.deepStrictEqual(vue.$objectPath.complete('user['), ['"name"', '"say \\"hi\\""']);
+      assert.deepStrictEqual(vue.$objectPath.complete('user[na'), ['"name"']);
+    });
+
+    it('lists indexes of array', () => {
+      let vue = new Vue({
+        data: {
+          items: new Array(12).fill({})
+        }
+      });
+
+      assert.deepStrictEqual(vue.$objectPath.complete('items[1'), [1, 10, 11]);
+      assert.deepStrictEqual(vue.$objectPath.complete('items.'), []);
+    });
+
+    it('lists keys of every value matched by wildcard', () => {
+      let vue = new Vue({
+        data: {
+          items: [{ a: 1 }, { b: 2, a: 3 }]
+        }
+      });
+
+      assert.deepStrictEqual(vue.$objectPath.complete('items[*].'), ['a', 'b']);
+    });
+
+    it('returns empty array when there is nothing to complete', () => {
+      let vue = new Vue({
+        data: {
+          items: [{ a: 1 }]
+        }
+      });
+
+      assert.deepStrictEqual(vue.$objectPath.complete('items[0]'), []);
+      assert.deepStrictEqual(vue.$objectPath.complete('missing.a'), []);
+      assert.deepStrictEqual(vue.$objectPath.complete('items[0].a.'), []);
+    });
+  });
+
+  describe('lodash dialect', () => {
+    it('reads paths like lodash', () => {
+      let vue = new Vue({
+        data: {
+          a: {
+            'b.c': 1,
+            list: ['zero'],
+          }
+        }
+      });
+
+      let op = new ObjectPath(vue, { dialect: 'lodash' });
+
+      assert.strictEqual(op.get('a["b.c"]'), 1);
+      assert.strictEqual(op.get('a.list.0'), 'zero');
+      assert.strictEqual(op.get('a[list][0]'), 'zero');
+    });
+
+    it('completes paths like lodash', () => {
+      let vue = new Vue({
+        data: {
+          a: [{ name: 'Alice', nick: 'Al' }],
+          'b-c': { x: 1 },
+        }
+      });
+
+      let op = new ObjectPath(vue, { dialect: 'lodash' });
+
+      assert.deepStrictEqual(op.complete('a.0.n'), ['name', 'nick']);
+      assert.deepStrictEqual(op.complete('b-c.'), ['x']);
+      assert.deepStrictEqual(op.complete('a.'), [0]);
+      assert.deepStrictEqual(op.complete('a[0][na'), ['name']);
+    });
+
+    it('creates arrays for keys that look like indexes', () => {
+      let vue = new Vue({
+        data: {
+          a: {}
+        }
+      });
+
+      let op = new ObjectPath(vue, { dialect: 'lodash' });
+
+      op.set('a.list.0.name', 'first');
+      op.set('a.map.01', 'not an index');
+
+      assert.ok(vue.a.list instanceof Array);
+      assert.strictEqual(vue.a.list[0].name, 'first');
+      assert.ok(!(vue.a.map instanceof Array));
+      assert.strictEqual(vue.a.map['01'], 'not an index');
+    });
+  });
+
+  describe('optional chaining', () => {
+    it('does not set value when segment is missing', () => {
+      let vue = new Vue({
+        data: {
+          form: null,
+          user: {}
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.set('form?.name', 'Alice'), false);
+      assert.strictEqual(vue.form, null);
+
+      assert.strictEqual(vue.$objectPath.set('user.address?.street', 'Main'), false);
+      assert.strictEqual(vue.user.address, undefined);
+    });
+
+    it('sets value and creates intermediate objects after segment that exists', () => {
+      let vue = new Vue({
+        data: {
+          user: {}
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.set('user?.address.street', 'Main'), true);
+      assert.strictEqual(vue.user.address.street, 'Main');
+    });
+
+    it('checks every value matched by wildcard', () => {
+      let vue = new Vue({
+        data: {
+          rows: [{ meta: {} }, {}]
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.set('rows[*].meta?.seen', true), true);
+      assert.strictEqual(vue.rows[0].meta.seen, true);
+      assert.strictEqual(vue.rows[1].meta, undefined);
+    });
+
+    it('does not change array when segment is missing', () => {
+      let vue = new Vue({
+        data: {
+          user: {}
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.push('user.tags?.[0]', 'a'), undefined);
+      assert.deepStrictEqual(vue.$objectPath.splice('user.tags?.[0]', 0, 1), []);
+      assert.strictEqual(vue.user.tags, undefined);
+
+      assert.strictEqual(vue.$objectPath.push('user?.tags', 'a'), 1);
+      assert.deepStrictEqual(vue.user.tags.slice(), ['a']);
+    });
+
+    it('does not delete when segment is missing', () => {
+      let vue = new Vue({
+        data: {
+          user: null
+        }
+      });
+
+      vue.$objectPath.delete('user?.name');
+
+      assert.strictEqual(vue.user, null);
+    });
+
+    it('reads value', () => {
+      let vue = new Vue({
+        data: {
+          user: { name: 'Alice' }
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.get('user?.name'), 'Alice');
+      assert.deepStrictEqual(vue.$objectPath.getAll('user?.name'), [{ path: ['user', 'name'], value: 'Alice' }]);
+    });
+
+    it('works in compiled paths', () => {
+      let vue = new Vue({
+        data: {
+          rows: [null, {}]
+        }
+      });
+
+      let seen = vue.$objectPath.compile('rows[:row]?.seen');
+
+      assert.strictEqual(seen.set(true, { row: 0 }), false);
+      assert.strictEqual(seen.set(true, { row: 1 }), true);
+      assert.strictEqual(vue.rows[0], null);
+      assert.strictEqual(vue.rows[1].seen, true);
+    });
+  });
+  describe('references', () => {
+    it('uses value of nested path as key', () => {
+      let vue = new Vue({
+        data: {
+          tabs: { a: { title: 'First' }, b: { title: 'Second' } },
+          state: { activeTabId: 'b' }
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.get('tabs[state.activeTabId].title'), 'Second');
+      assert.strictEqual(vue.$objectPath.has('tabs[state.activeTabId]'), true);
+    });
+
+    it('uses integer as index', () => {
+      let vue = new Vue({
+        data: {
+          items: ['a', 'b', 'c'],
+          selected: 1,
+          last: -1
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.get('items[selected]'), 'b');
+      assert.strictEqual(vue.$objectPath.get('items[last]'), 'c');
+    });
+
+    it('resolves nested references', () => {
+      let vue = new Vue({
+        data: {
+          labels: { en: { title: 'Title' } },
+          locales: ['pt', 'en'],
+          current: 1
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.get('labels[locales[current]].title'), 'Title');
+    });
+
+    it('sets value', () => {
+      let vue = new Vue({
+        data: {
+          tabs: {},
+          activeTabId: 'a'
+        }
+      });
+
+      vue.$objectPath.set('tabs[activeTabId].title', 'First');
+
+      assert.deepStrictEqual(vue.tabs, { a: { title: 'First' } });
+    });
+
+    it('deletes value', () => {
+      let vue = new Vue({
+        data: {
+          tabs: { a: 1, b: 2 },
+          activeTabId: 'a'
+        }
+      });
+
+      vue.$objectPath.delete('tabs[activeTabId]');
+
+      assert.deepStrictEqual(vue.tabs, { b: 2 });
+    });
+
+    it('fills in placeholders inside of reference', () => {
+      let vue = new Vue({
+        data: {
+          rows: [{ id: 'x' }],
+          names: { x: 'Xavier' }
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.get('names[rows[:row].id]', { row: 0 }), 'Xavier');
+    });
+
+    it('is reactive', () => {
+      let called = 0;
+
+      let vue = new Vue({
+        data: {
+          tabs: { a: { title: 'First' }, b: { title: 'Second' } },
+          activeTabId: 'a'
+        },
+
+        computed: {
+          title() {
+            called += 1;
+            return this.$objectPath.get('tabs[activeTabId].title');
+          }
+        }
+      });
+
+      assert.strictEqual(vue.title, 'First');
+
+      vue.activeTabId = 'b';
+
+      assert.strictEqual(vue.title, 'Second');
+      assert.strictEqual(called, 2);
+    });
+
+    it('is looked up on every call of compiled path', () => {
+      let vue = new Vue({
+        data: {
+          items: ['a', 'b'],
+          selected: 0
+        }
+      });
+
+      let item = vue.$objectPath.compile('items[selected]');
+
+      assert.strictEqual(item.get(), 'a');
+
+      vue.selected = 1;
+
+      assert.strictEqual(item.get(), 'b');
+    });
+
+    it('reads nothing if reference does not lead to a value', () => {
+      let vue = new Vue({
+        data: {
+          tabs: { a: { title: 'First' } },
+          state: {},
+          a: {}
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.get('tabs[state.activeTabId].title'), undefined);
+      assert.strictEqual(vue.$objectPath.has('tabs[state.activeTabId].title'), false);
+      assert.deepStrictEqual(vue.$objectPath.getAll('tabs[state.activeTabId].*'), []);
+      assert.deepStrictEqual(vue.$objectPath.get('tabs[state.activeTabId].*'), []);
+      assert.strictEqual(vue.$objectPath.get('a[list][0].b'), undefined);
+      assert.strictEqual(vue.$objectPath.get('tabs[a[list]]'), undefined);
+      assert.strictEqual(vue.$objectPath.coalesce('tabs[state.activeTabId].title', 'tabs.a.title'), 'First');
+
+      let title = vue.$objectPath.compile('tabs[state.activeTabId].title');
+
+      assert.strictEqual(title.get(), undefined);
+      assert.strictEqual(title.has(), false);
+    });
+
+    it('fails to write if reference does not lead to a value', () => {
+      let vue = new Vue({
+        data: {
+          tabs: {},
+          state: {},
+          list: []
+        }
+      });
+
+      assert.throws(
+        () => vue.$objectPath.set('tabs[state.activeTabId]', 1),
+        {
+          message: 'Reference state.activeTabId does not lead to a value.'
+        });
+
+      assert.throws(
+        () => vue.$objectPath.push('tabs[state.activeTabId]', 1),
+        {
+          message: 'Reference state.activeTabId does not lead to a value.'
+        });
+
+      assert.throws(
+        () => vue.$objectPath.delete('tabs[state.activeTabId]'),
+        {
+          message: 'Reference state.activeTabId does not lead to a value.'
+        });
+
+      assert.throws(
+        () => vue.$objectPath.compile('tabs[state.activeTabId]').set(1),
+        {
+          message: 'Reference state.activeTabId does not lead to a value.'
+        });
+    });
+
+    it('fails if reference does not lead to a key', () => {
+      let vue = new Vue({
+        data: {
+          tabs: {},
+          activeTabId: null,
+          position: 1.5
+        }
+      });
+
+      assert.throws(
+        () => vue.$objectPath.get('tabs[activeTabId]'),
+        {
+          message: 'Reference activeTabId must lead to an integer or a string.'
+        });
+
+      assert.throws(
+        () => vue.$objectPath.set('tabs[position]', 1),
+        {
+          message: 'Reference position must lead to an integer or a string.'
+        });
+    });
+  });
+  describe('multi-property selection', () => {
+    it('returns object with selected keys', () => {
+      let vue = new Vue({
+        data: {
+          user: { name: 'Alice', email: 'alice@example.com', password: 'secret' }
+        }
+      });
+
+      assert.deepStrictEqual(vue.$objectPath.get('user.{name,email}'), { name: 'Alice', email: 'alice@example.com' });
+    });
+
+    it('lists missing keys as undefined', () => {
+      let vue = new Vue({
+        data: {
+          user: { name: 'Alice' }
+        }
+      });
+
+      let result = vue.$objectPath.get('user.{name, email}');
+
+      assert.deepStrictEqual(result, { name: 'Alice', email: undefined });
+      assert.strictEqual('email' in result, true);
+    });
+
+    it('returns undefined if object is missing', () => {
+      let vue = new Vue({
+        data: {
+          user: null
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.get('user.{name,email}'), undefined);
+    });
+
+    it('returns array when every key is an index', () => {
+      let vue = new Vue({
+        data: {
+          items: ['a', 'b', 'c']
+        }
+      });
+
+      assert.deepStrictEqual(vue.$objectPath.get('items.{0,-1}'), ['a', 'c']);
+    });
+
+    it('selects keys of every value matched by wildcard', () => {
+      let vue = new Vue({
+        data: {
+          users: [{ id: 1, name: 'Alice', age: 30 }, { id: 2, name: 'Bob' }]
+        }
+      });
+
+      assert.deepStrictEqual(vue.$objectPath.get('users[*].{id,name}'), [
+        { id: 1, name: 'Alice' },
+        { id: 2, name: 'Bob' },
+      ]);
+    });
+
+    it('sets every selected key', () => {
+      let vue = new Vue({
+        data: {
+          form: { name: 'Alice', email: 'alice@example.com', age: 30 }
+        }
+      });
+
+      assert.strictEqual(vue.$objectPath.set('form.{name,email}', { name: 'Bob' }), true);
+      assert.deepStrictEqual(vue.form, { name: 'Bob', email: undefined, age: 30 });
+    });
+
+    it('sets elements by position when every key is an index', () => {
+      let vue = new Vue({
+        data: {
+          items: ['a', 'b', 'c']
+        }
+      });
+
+      vue.$objectPath.set('items.{0,2}', ['x', 'z']);
+
+      assert.deepStrictEqual(vue.items.slice(), ['x', 'b', 'z']);
+    });
+
+    it('sets keys reactively', () => {
+      let called = 0;
+
+      let vue = new Vue({
+        data: {
+          form: {}
+        },
+
+        computed: {
+          summary() {
+            called += 1;
+            return `${this.$objectPath.get('form.name')} ${this.$objectPath.get('form.email')}`;
+          }
+        }
+      });
+
+      assert.strictEqual(vue.summary, 'undefined undefined');
+
+      vue.$objectPath.set('form.{name,email}', { name: 'Alice', email: 'a@b.c' });
+
+      assert.strictEqual(vue.summary, 'Alice a@b.c');
+      assert.strictEqual(called, 2);
+    });
+
+    it('deletes every selected key', () => {
+      let vue = new Vue({
+        data: {
+          form: { name: 'Alice', email: 'alice@example.com', age: 30 }
+        }
+      });
+
+      vue.$objectPath.delete('form.{name,email}');
+
+      assert.deepStrictEqual(vue.form, { age: 30 });
+    });
+
+    it('fails to set value that is not an object', () => {
+      let vue = new Vue({
+        data: {
+          form: {}
+        }
+      });
+
+      assert.throws(
+        () => vue.$objectPath.set('form.{name,email}', 'Alice'),
+        {
+          message: 'Value of multi-property selection must be an object or an array.'
+        });
+    });
+
+    it('fails in other methods', () => {
+      let vue = new Vue({
+        data: {
+          form: {}
+        }
+      });
+
+      assert.throws(
+        () => vue.$objectPath.has('form.{name,email}'),
+        {
+          message: 'Multi-property selection can only be used with get, set and delete.'
+        });
+
+      assert.throws(
+        () => vue.$objectPath.push('form.{name,email}', 1),
+        {
+          message: 'Path must lead to a single value.'
+        });
+    });
+
+    it('fails if it is not the last segment of array path', () => {
+      let vue = new Vue({
+        data: {
+          form: {}
+        }
+      });
+
+      assert.throws(
+        () => vue.$objectPath.get(['form', new Pick(['a', 'b']), 'c']),
+        {
+          message: 'Multi-property selection must be the last segment.'
+        });
+    });
+  });
+  describe('for', () => {
+    /**
+     * Creates an observable object the same way Vuex creates its state.
+     * @param {object} state
+     * @returns {object}
+     */
+    function observable(state) {
+      return new Vue({ data: { state } }).state;
+    }
+
+    it('works on observable object', () => {
+      let called = 0;
+      let store = observable({ user: { name: 'Alice' } });
+      let op = VueDataObjectPath.for(store, { Vue });
+
+      let vue = new Vue({
+        computed: {
+          email() {
+            called += 1;
+            return op.get('user.email');
+          }
+        }
+      });
+
+      assert.strictEqual(op.get('user.name'), 'Alice');
+      assert.strictEqual(vue.email, undefined);
+
+      op.set('user.email', 'alice@example.com');
+
+      assert.strictEqual(vue.email, 'alice@example.com');
+      assert.strictEqual(called, 2);
+    });
+
+    it('adds and deletes properties at the root level reactively', () => {
+      let store = observable({});
+      let op = VueDataObjectPath.for(store, { Vue });
+
+      let vue = new Vue({
+        computed: {
+          tags() {
+            return op.get('tags');
+          }
+        }
+      });
+
+      assert.strictEqual(vue.tags, undefined);
+
+      op.push('tags', 'a');
+
+      assert.deepStrictEqual(vue.tags.slice(), ['a']);
+
+      op.delete('tags');
+
+      assert.strictEqual(vue.tags, undefined);
+      assert.strictEqual('tags' in store, false);
+    });
+
+    it('follows function on every call', () => {
+      let vue = new Vue({
+        data: {
+          current: { name: 'Alice' }
+        }
+      });
+
+      let op = VueDataObjectPath.for(() => vue.current, { Vue });
+
+      assert.strictEqual(op.get('name'), 'Alice');
+
+      vue.current = { name: 'Bob' };
+
+      assert.strictEqual(op.get('name'), 'Bob');
+    });
+
+    it('follows root level rules of $data when dynamicRoot is false', () => {
+      let store = observable({ a: {} });
+      let op = VueDataObjectPath.for(store, { Vue, dynamicRoot: false });
+
+      op.set('a.b', 1);
+
+      assert.deepStrictEqual(store.a, { b: 1 });
+
+      assert.throws(
+        () => op.set('c', 1),
+        {
+          message: 'Vue does not support dynamic properties at the root level. Either explicitly declare the property or use a nested object.'
+        });
+    });
+
+    it('fails without Vue option on observable object', () => {
+      assert.throws(
+        () => VueDataObjectPath.for(observable({})),
+        {
+          message: 'The Vue option is required for objects that were made observable by Vue 2.'
+        });
+    });
+
+    it('fails when target is not an object', () => {
+      assert.throws(
+        () => VueDataObjectPath.for('state'),
+        {
+          message: 'Target must be an object or a function that returns one.'
+        });
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { jsonPointer, parseJsonPointer, toJsonPointer } = require('../src/json-pointer');
+const { Wildcard } = require('../src/path-segments');
+
+describe('JsonPointer', () => {
+  describe('parseJsonPointer', () => {
+    it('splits pointer into keys', () => {
+      assert.deepStrictEqual(parseJsonPointer('/user/addresses/0/street'), ['user', 'addresses', 0, 'street']);
+    });
+
+    it('refers to the whole document when empty', () => {
+      assert.deepStrictEqual(parseJsonPointer(''), []);
+    });
+
+    it('unescapes tilde and slash', () => {
+      assert.deepStrictEqual(parseJsonPointer('/a~1b/m~0n/~01'), ['a/b', 'm~n', '~1']);
+    });
+
+    it('keeps keys that are not array indexes as strings', () => {
+      assert.deepStrictEqual(parseJsonPointer('/01/-1/-/1.5/ '), ['01', '-1', '-', '1.5', ' ']);
+    });
+
+    it('keeps empty keys', () => {
+      assert.deepStrictEqual(parseJsonPointer('/a//'), ['a', '', '']);
+    });
+
+    it('fails when pointer does not start with a slash', () => {
+      assert.throws(
+        () => parseJsonPointer('user/name'),
+        {
+          name: 'VueDataObjectPathSyntaxError',
+          message: 'JSON Pointer must start with /. (near column 0)'
+        });
+    });
+
+    it('fails when tilde is not followed by 0 or 1', () => {
+      assert.throws(
+        () => parseJsonPointer('/ab/c~2'),
+        {
+          name: 'VueDataObjectPathSyntaxError',
+          message: 'Invalid escape sequence. (near column 5 up to 7)'
+        });
+    });
+  });
+
+  describe('toJsonPointer', () => {
+    it('writes array path', () => {
+      assert.strictEqual(toJsonPointer(['user', 'addresses', 0, 'street']), '/user/addresses/0/street');
+    });
+
+    it('writes string path', () => {
+      assert.strictEqual(toJsonPointer('user["a/b"][1]'), '/user/a~1b/1');
+    });
+
+    it('escapes tilde and slash', () => {
+      assert.strictEqual(toJsonPointer(['~1', 'a/b']), '/~01/a~1b');
+    });
+
+    it('writes key -', () => {
+      assert.strictEqual(toJsonPointer(['obj', '-']), '/obj/-');
+    });
+
+    it('is the inverse of parseJsonPointer', () => {
+      let pointer = '/a~1b/m~0n/0/01/';
+
+      assert.strictEqual(toJsonPointer(parseJsonPointer(pointer)), pointer);
+      assert.strictEqual(toJsonPointer(jsonPointer(pointer)), pointer);
+    });
+
+    it('fails when index is negative', () => {
+      assert.throws(
+        () => toJsonPointer(['items', -1]),
+        {
+          message: 'Only indexes that are not negative can be written in a JSON Pointer.'
+        });
+    });
+
+    it('fails when path has selectors', () => {
+      assert.throws(
+        () => toJsonPointer(['items', new Wildcard()]),
+        {
+          message: 'Path segment cannot be written as a JSON Pointer.'
+        });
+    });
+  });
+});
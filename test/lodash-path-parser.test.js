@@ -0,0 +1,88 @@
+const assert = require('assert');
+const { parseLodashPath, parseLodashPartialPath } = require('../src/lodash-path-parser');
+
+describe('LodashPathParser', () => {
+  it('accepts numbers in dot notation', () => {
+    assert.deepStrictEqual(parseLodashPath('a.0.b'), ['a', '0', 'b']);
+  });
+
+  it('accepts unquoted keys in bracket notation', () => {
+    assert.deepStrictEqual(parseLodashPath('a[b]'), ['a', 'b']);
+    assert.deepStrictEqual(parseLodashPath('a[b.c]'), ['a', 'b', 'c']);
+  });
+
+  it('keeps dots in quoted keys', () => {
+    assert.deepStrictEqual(parseLodashPath('a["b.c"]'), ['a', 'b.c']);
+  });
+
+  it('unescapes quoted keys', () => {
+    assert.deepStrictEqual(parseLodashPath(String.raw`a['x\'y']["b\\c"]`), ['a', 'x\'y', 'b\\c']);
+  });
+
+  it('returns every key as a string', () => {
+    assert.deepStrictEqual(parseLodashPath('a[0][-1.5]'), ['a', '0', '-1.5']);
+  });
+
+  it('creates empty keys', () => {
+    assert.deepStrictEqual(parseLodashPath('.a'), ['', 'a']);
+    assert.deepStrictEqual(parseLodashPath('a..b'), ['a', '', 'b']);
+    assert.deepStrictEqual(parseLodashPath('a[]'), ['a', '']);
+  });
+
+  it('never fails', () => {
+    assert.deepStrictEqual(parseLodashPath(''), []);
+    assert.deepStrictEqual(parseLodashPath(' a . b '), [' a ', ' b ']);
+    assert.deepStrictEqual(parseLodashPath('a]b'), ['a', 'b']);
+    assert.deepStrictEqual(parseLodashPath('a["open'), ['a', '"open']);
+  });
+
+  describe('parseLodashPartialPath', () => {
+    it('considers last segment incomplete', () => {
+      assert.deepStrictEqual(parseLodashPartialPath('a.0.n'), {
+        path: ['a', '0'],
+        partial: { kind: 'dot', text: 'n', from: 3 },
+      });
+
+      assert.deepStrictEqual(parseLodashPartialPath('b-c.'), {
+        path: ['b-c'],
+        partial: { kind: 'dot', text: '', from: 3 },
+      });
+
+      assert.deepStrictEqual(parseLodashPartialPath('us'), {
+        path: [],
+        partial: { kind: 'root', text: 'us', from: 0 },
+      });
+    });
+
+    it('describes segment in brackets', () => {
+      assert.deepStrictEqual(parseLodashPartialPath('a[b'), {
+        path: ['a'],
+        partial: { kind: 'bracket', text: 'b', from: 1 },
+      });
+
+      assert.deepStrictEqual(parseLodashPartialPath('a["b.c'), {
+        path: ['a'],
+        partial: { kind: 'bracketString', text: 'b.c', from: 1 },
+      });
+    });
+
+    it('returns complete path after closing bracket', () => {
+      assert.deepStrictEqual(parseLodashPartialPath('a["b.]"]'), {
+        path: ['a', 'b.]'],
+        partial: null,
+      });
+    });
+
+    it('creates empty keys', () => {
+      assert.deepStrictEqual(parseLodashPartialPath('.a'), {
+        path: [''],
+        partial: { kind: 'dot', text: 'a', from: 0 },
+      });
+
+      assert.deepStrictEqual(parseLodashPartialPath('a..b'), {
+        path: ['a', ''],
+        partial: { kind: 'dot', text: 'b', from: 2 },
+      });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const { PathCache } = require('../src/path-cache');
+
+describe('PathCache', () => {
+  it('returns parsed path', () => {
+    let cache = new PathCache();
+
+    assert.deepStrictEqual(cache.parse('root.first[0]'), ['root', 'first', 0]);
+  });
+
+  it('returns the same result when the same path is parsed again', () => {
+    let cache = new PathCache();
+
+    let first = cache.parse('root.first');
+    let second = cache.parse('root.first');
+
+    assert.strictEqual(first, second);
+    assert.deepStrictEqual(cache.stats(), { size: 1, maxSize: 1000, hits: 1, misses: 1, evictions: 0 });
+  });
+
+  it('freezes results', () => {
+    let cache = new PathCache();
+
+    let path = cache.parse('root[1:2][?(@.id == 1)]');
+
+    assert(Object.isFrozen(path));
+    assert(Object.isFrozen(path[1]));
+    assert(Object.isFrozen(path[2].expression.left.path));
+  });
+
+  it('keeps results of different options apart', () => {
+    let cache = new PathCache();
+
+    cache.parse(String.raw`root['\a']`);
+
+    assert.throws(
+      () => cache.parse(String.raw`root['\a']`, { strict: true }),
+      {
+        name: 'VueDataObjectPathSyntaxError'
+      });
+
+    assert.deepStrictEqual(cache.parse('root[0]'), ['root', 0]);
+    assert.deepStrictEqual(cache.parse('root[0]', { dialect: 'lodash' }), ['root', '0']);
+  });
+
+  it('forgets least recently used path when full', () => {
+    let cache = new PathCache(2);
+
+    let first = cache.parse('first');
+    cache.parse('second');
+    cache.parse('first');
+    cache.parse('third');
+
+    assert.strictEqual(cache.parse('first'), first);
+    assert.deepStrictEqual(cache.stats(), { size: 2, maxSize: 2, hits: 2, misses: 3, evictions: 1 });
+  });
+
+  it('forgets paths when it shrinks', () => {
+    let cache = new PathCache();
+
+    cache.parse('first');
+    cache.parse('second');
+    cache.configure({ maxSize: 1 });
+
+    assert.deepStrictEqual(cache.stats(), { size: 1, maxSize: 1, hits: 0, misses: 2, evictions: 1 });
+  });
+
+  it('does not remember anything when size is 0', () => {
+    let cache = new PathCache(0);
+
+    cache.parse('first');
+    cache.parse('first');
+
+    assert.deepStrictEqual(cache.stats(), { size: 0, maxSize: 0, hits: 0, misses: 2, evictions: 0 });
+  });
+
+  it('fails when size is not valid', () => {
+    let cache = new PathCache();
+
+    assert.throws(
+      () => cache.configure({ maxSize: -1 }),
+      {
+        message: 'Cache size must be an integer that is not negative.'
+      });
+  });
+
+  it('resets when cleared', () => {
+    let cache = new PathCache();
+
+    cache.parse('first');
+    cache.parse('first');
+    cache.clear();
+
+    assert.deepStrictEqual(cache.stats(), { size: 0, maxSize: 1000, hits: 0, misses: 0, evictions: 0 });
+  });
+});
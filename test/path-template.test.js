@@ -0,0 +1,76 @@
+const assert = require('assert');
+const { path } = require('../src/path-template');
+const { Placeholder } = require('../src/path-segments');
+
+describe('path', () => {
+  it('inserts values in bracket notation as they are', () => {
+    let id = 'a]\'b';
+
+    assert.deepStrictEqual(path`users[${id}].tags[${2}]`, ['users', 'a]\'b', 'tags', 2]);
+  });
+
+  it('inserts values in dot notation', () => {
+    assert.deepStrictEqual(path`users.${'first name'}.length`, ['users', 'first name', 'length']);
+  });
+
+  it('inserts value at the root level', () => {
+    assert.deepStrictEqual(path`${'my key'}.value`, ['my key', 'value']);
+  });
+
+  it('keeps placeholders that are written in the path', () => {
+    let result = path`rows[${0}].cells[:$0]`;
+
+    assert.deepStrictEqual(result.slice(0, 3), ['rows', 0, 'cells']);
+    assert.ok(result[3] instanceof Placeholder);
+    assert.strictEqual(result[3].name, '$0');
+  });
+
+  it('fails when value in dot notation is not a string', () => {
+    assert.throws(
+      () => path`users.${1}`,
+      {
+        message: 'Value in dot notation must be a string.'
+      });
+  });
+
+  it('fails when value in bracket notation is not an integer or a string', () => {
+    assert.throws(
+      () => path`users[${null}]`,
+      {
+        message: 'Value in bracket notation must be an integer or a string.'
+      });
+  });
+
+  it('fails when value is not a whole key', () => {
+    assert.throws(
+      () => path`users.first${'name'}`,
+      {
+        name: 'VueDataObjectPathSyntaxError'
+      });
+  });
+
+  it('fails when text after value continues the key', () => {
+    assert.throws(
+      () => path`a.${'x'}1.${'y'}`,
+      {
+        name: 'VueDataObjectPathSyntaxError',
+        message: 'Interpolated value must take the place of a whole key.'
+      });
+
+    assert.throws(
+      () => path`a.${'x'}b`,
+      {
+        name: 'VueDataObjectPathSyntaxError',
+        message: 'Interpolated value must take the place of a whole key.'
+      });
+  });
+
+  it('fails when text before value continues the key', () => {
+    assert.throws(
+      () => path`a[x${'y'}]`,
+      {
+        name: 'VueDataObjectPathSyntaxError',
+        message: 'Interpolated value must take the place of a whole key.'
+      });
+  });
+});
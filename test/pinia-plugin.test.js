@@ -0,0 +1,149 @@
+const assert = require('assert');
+const Vue = require('vue');
+const VueDataObjectPath = require('..');
+const { createPiniaPlugin } = VueDataObjectPath;
+
+Vue.use(VueDataObjectPath);
+
+// Pinia needs @vue/composition-api, which needs Vue.observable from Vue 2.6.
+const hasCompositionApi = Number(Vue.version.split('.')[1]) >= 6;
+
+(hasCompositionApi ? describe : describe.skip)('createPiniaPlugin', () => {
+  let CompositionApi;
+  let Pinia;
+
+  before(() => {
+    CompositionApi = require('@vue/composition-api');
+    Pinia = require('pinia');
+    Vue.use(CompositionApi.default);
+    Vue.use(Pinia.PiniaVuePlugin);
+  });
+
+  /**
+   * Creates a store with the plugin.
+   * @param {object} state
+   * @param {object=} options - Options of the plugin.
+   * @returns {Store}
+   */
+  function createStore(state, options = {}) {
+    let pinia = Pinia.createPinia();
+
+    pinia.use(createPiniaPlugin(options));
+
+    return Pinia.defineStore('test', { state: () => state })(pinia);
+  }
+
+  it('changes state', () => {
+    let store = createStore({ user: {} });
+
+    assert.strictEqual(store.$op, store.$objectPath);
+
+    assert.strictEqual(store.$op.set('user.address.street', 'Main'), true);
+    assert.deepStrictEqual(store.$state.user, { address: { street: 'Main' } });
+
+    store.$op.set('tags', ['a']);
+    assert.deepStrictEqual(store.$state.tags.slice(), ['a']);
+
+    store.$op.delete('user.address');
+    assert.deepStrictEqual(store.$state.user, {});
+  });
+
+  it('notifies listeners once per operation with path in payload', () => {
+    let store = createStore({ user: {} });
+    let mutations = [];
+
+    store.$subscribe(mutation => mutations.push(mutation), { flush: 'sync' });
+
+    store.$op.set('user.address.street', 'Main');
+    store.$op.push('user.tags', 'a', 'b');
+
+    assert.deepStrictEqual(mutations.map(mutation => [mutation.type, mutation.payload]), [
+      ['patch function', { method: 'set', path: 'user.address.street', value: 'Main', bindings: {} }],
+      ['patch function', { method: 'push', path: 'user.tags', items: ['a', 'b'], bindings: {} }],
+    ]);
+  });
+
+  it('binds placeholders', () => {
+    let store = createStore({ rows: [{ cells: [] }] });
+    let mutations = [];
+
+    store.$subscribe(mutation => mutations.push(mutation.payload), { flush: 'sync' });
+
+    let row = store.$op.bind({ i: 0 });
+
+    assert.strictEqual(row.push('rows[:i].cells', 'a'), 1);
+    assert.strictEqual(row.get('rows[:i].cells[0]'), 'a');
+    assert.strictEqual(row.push('rows[:i].cells', 'b'), 2);
+    assert.strictEqual(store.$op.pop('rows[:i].cells', { i: 0 }), 'b');
+
+    assert.deepStrictEqual(mutations, [
+      { method: 'push', path: 'rows[:i].cells', items: ['a'], bindings: { i: 0 } },
+      { method: 'push', path: 'rows[:i].cells', items: ['b'], bindings: { i: 0 } },
+      { method: 'pop', path: 'rows[:i].cells', bindings: { i: 0 } },
+    ]);
+  });
+
+  it('compiles paths', () => {
+    let store = createStore({ rows: [{}] });
+    let mutations = [];
+
+    store.$subscribe(mutation => mutations.push(mutation.payload.method), { flush: 'sync' });
+
+    let name = store.$op.compile('rows[:i].name');
+
+    assert.strictEqual(name.set('Alice', { i: 0 }), true);
+    assert.strictEqual(name.get({ i: 0 }), 'Alice');
+    assert.strictEqual(name.has({ i: 0 }), true);
+    assert.deepStrictEqual(mutations, ['set']);
+  });
+
+  it('leaves other mutations alone', () => {
+    let store = createStore({ count: 0 });
+    let mutations = [];
+
+    store.$subscribe(mutation => mutations.push(mutation), { flush: 'sync' });
+
+    store.$patch(state => {
+      state.count = 1;
+    });
+    store.$patch({ count: 2 });
+
+    assert.deepStrictEqual(mutations.map(mutation => mutation.payload), [undefined, { count: 2 }]);
+  });
+
+  it('keeps notifying listeners of direct changes after operation fails', () => {
+    let store = createStore({ s: 'text', n: 1 });
+    let mutations = [];
+
+    store.$subscribe(mutation => mutations.push(mutation.type), { flush: 'sync' });
+
+    assert.throws(
+      () => store.$op.push('s', 1),
+      {
+        name: 'VueDataObjectPathError',
+        message: 'Path does not lead to an array.'
+      });
+
+    store.n = 3;
+
+    assert.deepStrictEqual(mutations, ['patch function', 'direct']);
+  });
+
+  it('is reactive', () => {
+    let store = createStore({ user: {} });
+
+    let vue = new Vue({
+      computed: {
+        name() {
+          return store.$op.get('user.name');
+        }
+      }
+    });
+
+    assert.strictEqual(vue.name, undefined);
+
+    store.$op.set('user.name', 'Alice');
+
+    assert.strictEqual(vue.name, 'Alice');
+  });
+});
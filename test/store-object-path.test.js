@@ -0,0 +1,121 @@
+const assert = require('assert');
+const Vue = require('vue');
+const VueDataObjectPath = require('..');
+const { StoreObjectPath, perform, OBJECT_PATH, WRITE } = require('../src/store-object-path');
+
+Vue.use(VueDataObjectPath);
+
+/**
+ * Carries out writes right away and remembers them.
+ */
+class LoggedObjectPath extends StoreObjectPath {
+  constructor(objectPath, log) {
+    super(objectPath);
+
+    this.log = log;
+  }
+
+  [WRITE](method, payload) {
+    this.log.push(Object.assign({ method }, payload));
+
+    return perform(this[OBJECT_PATH], method, payload);
+  }
+}
+
+/**
+ * Creates a helper for the data of a new Vue instance.
+ * @param {object} data
+ * @returns {{ vue: Vue, op: LoggedObjectPath, log: object[] }}
+ */
+function create(data) {
+  let vue = new Vue({ data });
+  let log = [];
+
+  return { vue, op: new LoggedObjectPath(vue.$objectPath, log), log };
+}
+
+describe('StoreObjectPath', () => {
+  it('reads state', () => {
+    let { op, log } = create({ user: { name: 'Alice' } });
+
+    assert.strictEqual(op.get('user.name'), 'Alice');
+    assert.strictEqual(op.getAll('user.*').length, 1);
+    assert.strictEqual(op.has('user.email'), false);
+    assert.strictEqual(op.coalesce('user.email', 'user.name'), 'Alice');
+    assert.deepStrictEqual(op.complete('user.n'), ['name']);
+    assert.deepStrictEqual(log, []);
+  });
+
+  it('returns values of array methods', () => {
+    let { vue, op } = create({ list: [] });
+
+    assert.strictEqual(op.push('list', 1, 2, 3), 3);
+    assert.strictEqual(op.pop('list'), 3);
+    assert.strictEqual(op.shift('list'), 1);
+    assert.strictEqual(op.unshift('list', 0), 2);
+    assert.deepStrictEqual(op.splice('list', 1), [2]);
+    op.insert('list', 1, 'a', 'b');
+    assert.deepStrictEqual(op.remove('list', 0, 1), [0]);
+    assert.deepStrictEqual(vue.list.slice(), ['a', 'b']);
+
+    op.empty('list');
+    assert.deepStrictEqual(vue.list.slice(), []);
+  });
+
+  it('describes each write by method and arguments', () => {
+    let { op, log } = create({ user: {}, list: ['a'] });
+
+    op.set('user.name', 'Alice');
+    op.delete('user.name');
+    op.push('list', 'b');
+    op.splice('list', 0, 1, 'c');
+    op.splice('list', 1);
+
+    assert.deepStrictEqual(log, [
+      { method: 'set', path: 'user.name', value: 'Alice', bindings: {} },
+      { method: 'delete', path: 'user.name', bindings: {} },
+      { method: 'push', path: 'list', items: ['b'], bindings: {} },
+      { method: 'splice', path: 'list', start: 0, deleteCount: 1, items: ['c'], bindings: {} },
+      { method: 'splice', path: 'list', start: 1, bindings: {} },
+    ]);
+  });
+
+  it('binds placeholders', () => {
+    let { vue, op, log } = create({ rows: [{ cells: [] }] });
+
+    let row = op.bind({ i: 0 });
+
+    assert.ok(row instanceof LoggedObjectPath);
+    assert.strictEqual(row.log, log);
+    assert.strictEqual(row.push('rows[:i].cells', 'a', 'b'), 2);
+    assert.strictEqual(row.get('rows[:i].cells[0]'), 'a');
+    assert.strictEqual(op.pop('rows[:i].cells', { i: 0 }), 'b');
+    assert.strictEqual(row.bind({ j: 0 }).get('rows[:i].cells[:j]'), 'a');
+    assert.deepStrictEqual(vue.rows[0].cells.slice(), ['a']);
+
+    assert.deepStrictEqual(log.map(entry => entry.bindings), [{ i: 0 }, { i: 0 }]);
+  });
+
+  it('compiles paths', () => {
+    let { op, log } = create({ rows: [{}] });
+
+    let name = op.compile('rows[:i].name');
+
+    assert.strictEqual(name.set('Alice', { i: 0 }), true);
+    assert.strictEqual(name.get({ i: 0 }), 'Alice');
+    assert.strictEqual(name.has({ i: 0 }), true);
+    assert.deepStrictEqual(log.map(entry => entry.method), ['set']);
+  });
+
+  it('fails to write when store does not implement writes', () => {
+    let vue = new Vue({ data: { a: 1 } });
+    let op = new StoreObjectPath(vue.$objectPath);
+
+    assert.throws(
+      () => op.set('a', 2),
+      {
+        name: 'VueDataObjectPathError',
+        message: 'Store does not implement writes.'
+      });
+  });
+});
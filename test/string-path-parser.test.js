@@ -1,5 +1,6 @@
 const assert = require('assert');
-const { parseStringPath } = require('../src/string-path-parser');
+const { parseStringPath, parsePathAst, parsePartialPath } = require('../src/string-path-parser');
+const { Wildcard, Descendants, Slice, Filter, Placeholder, OptionalChain, Reference, Pick } = require('../src/path-segments');
 
 describe('StringPathParser', () => {
   it('parses root access', () => {
@@ -24,6 +25,257 @@ describe('StringPathParser', () => {
     assert.deepStrictEqual(parseStringPath('root[1][2]'), ['root', 1, 2]);
   });
 
+  it('parses unicode letters in dot notation', () => {
+    assert.deepStrictEqual(parseStringPath('user.café'), ['user', 'café']);
+    assert.deepStrictEqual(parseStringPath('données.nom'), ['données', 'nom']);
+    assert.deepStrictEqual(parseStringPath('πλάτος[0]'), ['πλάτος', 0]);
+    assert.deepStrictEqual(parseStringPath('root.\u{1D49C}b'), ['root', '\u{1D49C}b']);
+  });
+
+  it('parses zero width joiners after first character of a word', () => {
+    assert.deepStrictEqual(parseStringPath('root.a\u200Cb\u200D'), ['root', 'a\u200Cb\u200D']);
+  });
+
+  it('parses unicode escape sequences in dot notation', () => {
+    assert.deepStrictEqual(parseStringPath(String.raw`\u0072oot.caf\u00e9`), ['root', 'café']);
+    assert.deepStrictEqual(parseStringPath(String.raw`root.\u{1D49C}`), ['root', '\u{1D49C}']);
+  });
+
+  it('fails if unicode escape sequence in dot notation is not part of an identifier', () => {
+    assert.throws(
+      () => parseStringPath(String.raw`root.a\u002Eb`),
+      {
+        message: 'Invalid Unicode escape sequence (near column 5 up to 12)\n\nroot.a\\u002Eb\n     ^^^^^^^'
+      });
+  });
+
+  it('fails if word starts with a character that can only continue an identifier', () => {
+    assert.throws(
+      () => parseStringPath('root.\u0301a'),
+      {
+        message: 'Unexpected character. Expected identifier, "*" or ":". (near column 5)\n\nroot.\u0301a\n     ^'
+      });
+  });
+
+  it('reports location after characters outside of the basic multilingual plane', () => {
+    assert.throws(
+      () => parseStringPath('\u{1D49C}.0'),
+      {
+        message: 'Unexpected character. Expected identifier, "*" or ":". (near column 3)\n\n\u{1D49C}.0\n  ^'
+      });
+  });
+
+  it('parses negative index in bracket notation', () => {
+    assert.deepStrictEqual(parseStringPath('root[-1]'), ['root', -1]);
+    assert.deepStrictEqual(parseStringPath('root[0][-12]'), ['root', 0, -12]);
+  });
+
+  it('fails if minus sign is not followed by a digit', () => {
+    assert.throws(
+      () => parseStringPath('root[-]'),
+      {
+        message: 'Unexpected character. Expected number. (near column 6)\n\nroot[-]\n      ^'
+      });
+  });
+
+  it('parses wildcard in dot notation', () => {
+    assert.deepStrictEqual(parseStringPath('root.*'), ['root', new Wildcard()]);
+    assert.deepStrictEqual(parseStringPath('root.*.first'), ['root', new Wildcard(), 'first']);
+  });
+
+  it('parses wildcard in bracket notation', () => {
+    assert.deepStrictEqual(parseStringPath('root[*]'), ['root', new Wildcard()]);
+    assert.deepStrictEqual(parseStringPath('root[*][0]'), ['root', new Wildcard(), 0]);
+  });
+
+  it('fails if wildcard is followed by a word', () => {
+    assert.throws(
+      () => parseStringPath('root.*first'),
+      {
+        message: 'Unexpected character. Expected ".", "[", "?." or end of input. (near column 6)\n\nroot.*first\n      ^'
+      });
+  });
+
+  it('parses recursive descent', () => {
+    assert.deepStrictEqual(parseStringPath('root..first'), ['root', new Descendants(), 'first']);
+    assert.deepStrictEqual(parseStringPath('root..first.second'), ['root', new Descendants(), 'first', 'second']);
+    assert.deepStrictEqual(parseStringPath('root..*'), ['root', new Descendants(), new Wildcard()]);
+  });
+
+  it('parses recursive descent followed by bracket notation', () => {
+    assert.deepStrictEqual(parseStringPath('root..[0]'), ['root', new Descendants(), 0]);
+    assert.deepStrictEqual(parseStringPath('root..["first"]'), ['root', new Descendants(), 'first']);
+  });
+
+  it('fails if recursive descent has three dots', () => {
+    assert.throws(
+      () => parseStringPath('root...first'),
+      {
+        message: 'Unexpected character. Expected identifier, "*", ":" or "[". (near column 6)\n\nroot...first\n      ^'
+      });
+  });
+
+  it('fails if recursive descent has no property', () => {
+    assert.throws(
+      () => parseStringPath('root..'),
+      {
+        message: 'Unexpected end of input. Expected identifier, "*" or ":". (near column 6)\n\nroot..\n      ^'
+      });
+  });
+
+  it('parses slice', () => {
+    assert.deepStrictEqual(parseStringPath('root[1:3]'), ['root', new Slice(1, 3)]);
+    assert.deepStrictEqual(parseStringPath('root[1:3:2]'), ['root', new Slice(1, 3, 2)]);
+    assert.deepStrictEqual(parseStringPath('root[-2:].first'), ['root', new Slice(-2, null), 'first']);
+  });
+
+  it('parses slice with bounds left out', () => {
+    assert.deepStrictEqual(parseStringPath('root[:]'), ['root', new Slice()]);
+    assert.deepStrictEqual(parseStringPath('root[:-1]'), ['root', new Slice(null, -1)]);
+    assert.deepStrictEqual(parseStringPath('root[::2]'), ['root', new Slice(null, null, 2)]);
+  });
+
+  it('fails if index is not a safe integer', () => {
+    assert.throws(
+      () => parseStringPath('a[99999999999999999999]'),
+      {
+        name: 'VueDataObjectPathSyntaxError',
+        message: 'Index must be a safe integer. (near column 2 up to 22)\n\na[99999999999999999999]\n  ^^^^^^^^^^^^^^^^^^^^'
+      });
+
+    for (let path of ['a[-9007199254740992]', 'a[1:9007199254740992]', 'a[::9007199254740992]', 'a.{9007199254740992}']) {
+      assert.throws(
+        () => parseStringPath(path),
+        {
+          name: 'VueDataObjectPathSyntaxError',
+        });
+    }
+
+    assert.deepStrictEqual(parseStringPath('a[9007199254740991]'), ['a', 9007199254740991]);
+  });
+
+  it('fails if slice step is not greater than 0', () => {
+    assert.throws(
+      () => parseStringPath('root[1:3:0]'),
+      {
+        message: 'Slice step must be greater than 0. (near column 5 up to 10)\n\nroot[1:3:0]\n     ^^^^^'
+      });
+
+    assert.throws(
+      () => parseStringPath('root[::-1]'),
+      {
+        message: 'Slice step must be greater than 0. (near column 5 up to 9)\n\nroot[::-1]\n     ^^^^'
+      });
+  });
+
+  it('parses optional chaining', () => {
+    assert.deepStrictEqual(parseStringPath('a?.b.c'), ['a', new OptionalChain(), 'b', 'c']);
+    assert.deepStrictEqual(parseStringPath('a?.[0]?.*'), ['a', new OptionalChain(), 0, new OptionalChain(), new Wildcard()]);
+  });
+
+  it('fails if optional chaining is not followed by a key', () => {
+    assert.throws(
+      () => parseStringPath('a?.'),
+      {
+        expected: ['identifier', '*', ':'],
+      });
+  });
+
+  it('parses lodash dialect', () => {
+    assert.deepStrictEqual(parseStringPath('a.0[b]["c.d"]', { dialect: 'lodash' }), ['a', '0', 'b', 'c.d']);
+  });
+
+  it('fails if dialect is unknown', () => {
+    assert.throws(
+      () => parseStringPath('a', { dialect: 'python' }),
+      {
+        message: 'Unknown path dialect python.'
+      });
+  });
+
+  it('parses placeholder', () => {
+    assert.deepStrictEqual(parseStringPath('rows[:row].price'), ['rows', new Placeholder('row', 'bracket', 5, 9), 'price']);
+    assert.deepStrictEqual(parseStringPath('users.:id.name'), ['users', new Placeholder('id', 'dot', 6, 9), 'name']);
+    assert.deepStrictEqual(parseStringPath(':key.name'), [new Placeholder('key', 'dot', 0, 4), 'name']);
+    assert.deepStrictEqual(parseStringPath('root[:5]'), ['root', new Slice(null, 5)]);
+  });
+
+  it('fails if slice has too many bounds', () => {
+    assert.throws(
+      () => parseStringPath('root[1:2:3:4]'),
+      {
+        message: 'Unexpected character. Expected "]". (near column 10)\n\nroot[1:2:3:4]\n          ^'
+      });
+  });
+
+  it('parses filter with comparison', () => {
+    assert.deepStrictEqual(parseStringPath('root[?(@.id == 42)]'), ['root', new Filter({
+      type: 'comparison',
+      operator: '==',
+      left: { type: 'current', path: ['id'] },
+      right: { type: 'literal', value: 42 },
+    })]);
+  });
+
+  it('parses filter literals', () => {
+    let literal = (source) => parseStringPath(`root[?(${source})]`)[1].expression.value;
+
+    assert.strictEqual(literal('true'), true);
+    assert.strictEqual(literal('false'), false);
+    assert.strictEqual(literal('null'), null);
+    assert.strictEqual(literal('-1.5'), -1.5);
+    assert.strictEqual(literal('"text"'), 'text');
+    assert.strictEqual(literal(`'text'`), 'text');
+  });
+
+  it('parses filter with logical operators and parentheses', () => {
+    let current = (...path) => ({ type: 'current', path });
+
+    assert.deepStrictEqual(parseStringPath('root[?(@.a && (@.b[0] || @["c"]))]'), ['root', new Filter({
+      type: 'logical',
+      operator: '&&',
+      left: current('a'),
+      right: {
+        type: 'logical',
+        operator: '||',
+        left: current('b', 0),
+        right: current('c'),
+      },
+    })]);
+  });
+
+  it('parses && with higher precedence than ||', () => {
+    let current = (...path) => ({ type: 'current', path });
+
+    assert.deepStrictEqual(parseStringPath('root[?(@.a || @.b && @.c)]'), ['root', new Filter({
+      type: 'logical',
+      operator: '||',
+      left: current('a'),
+      right: {
+        type: 'logical',
+        operator: '&&',
+        left: current('b'),
+        right: current('c'),
+      },
+    })]);
+  });
+
+  it('fails if filter comparison has no right operand', () => {
+    assert.throws(
+      () => parseStringPath('root[?(@.id == )]'),
+      {
+        message: 'Unexpected character. Expected "(", "@", number, string, "true", "false" or "null". (near column 15)\n\nroot[?(@.id == )]\n               ^'
+      });
+  });
+
+  it('fails if filter is not closed', () => {
+    assert.throws(
+      () => parseStringPath('root[?(@.id'),
+      {
+        message: 'Unexpected end of input. Expected ".", "[", comparison operator, "&&", "||" or ")". (near column 11)\n\nroot[?(@.id\n           ^'
+      });
+  });
+
   it('parses property name in double quotes inside bracket notation', () => {
     assert.deepStrictEqual(parseStringPath('root["first"]'), ['root', 'first']);
   });
@@ -64,11 +316,93 @@ describe('StringPathParser', () => {
     assert.deepStrictEqual(parseStringPath(String.raw`root['one\'two']`), ['root', 'one\'two']);
   });
 
+  it('parses code point escape sequences', () => {
+    assert.deepStrictEqual(parseStringPath(String.raw`root['\u{1F600}']`), ['root', '\u{1F600}']);
+    assert.deepStrictEqual(parseStringPath(String.raw`root['\u{41}\u{000042}']`), ['root', 'AB']);
+  });
+
+  it('parses surrogate pairs written as two unicode escape sequences', () => {
+    assert.deepStrictEqual(parseStringPath(String.raw`root['\uD83D\uDE00']`), ['root', '\u{1F600}']);
+  });
+
+  it('parses hexadecimal, null and vertical tab escape sequences', () => {
+    assert.deepStrictEqual(parseStringPath(String.raw`root['\x41\0\v']`), ['root', 'A\0\v']);
+  });
+
+  it('parses either quote escaped in both kinds of strings', () => {
+    assert.deepStrictEqual(parseStringPath(String.raw`root['\"']`), ['root', '"']);
+    assert.deepStrictEqual(parseStringPath(String.raw`root["\'"]`), ['root', '\'']);
+  });
+
+  it('parses line continuations', () => {
+    assert.deepStrictEqual(parseStringPath('root[\'one\\\ntwo\']'), ['root', 'onetwo']);
+    assert.deepStrictEqual(parseStringPath('root[\'one\\\r\ntwo\']'), ['root', 'onetwo']);
+    assert.deepStrictEqual(parseStringPath('root[\'one\\\u2028two\']'), ['root', 'onetwo']);
+  });
+
+  it('parses legacy octal escape sequences', () => {
+    assert.deepStrictEqual(parseStringPath(String.raw`root['\101\08\477\8']`), ['root', 'A\x008\x2778']);
+  });
+
+  it('copies character of unknown escape sequence', () => {
+    assert.deepStrictEqual(parseStringPath(String.raw`root['\a\c']`), ['root', 'ac']);
+  });
+
+  it('fails if unknown escape sequence is used in strict mode', () => {
+    assert.throws(
+      () => parseStringPath(String.raw`root['\a']`, { strict: true }),
+      {
+        message: 'Invalid escape sequence. (near column 5 up to 7)\n\nroot[\'\\a\']\n     ^^'
+      });
+  });
+
+  it('fails if legacy octal escape sequence is used in strict mode', () => {
+    assert.throws(
+      () => parseStringPath(String.raw`root['\101']`, { strict: true }),
+      {
+        message: 'Octal escape sequences are not allowed in strict mode. (near column 5 up to 8)\n\nroot[\'\\101\']\n     ^^^'
+      });
+
+    assert.throws(
+      () => parseStringPath(String.raw`root['\9']`, { strict: true }),
+      {
+        message: '\\8 and \\9 are not allowed in strict mode. (near column 5 up to 8)\n\nroot[\'\\9\']\n     ^^^'
+      });
+  });
+
+  it('allows null character in strict mode', () => {
+    assert.deepStrictEqual(parseStringPath(String.raw`root['\0']`, { strict: true }), ['root', '\0']);
+  });
+
+  it('fails if string contains unescaped line terminator', () => {
+    assert.throws(
+      () => parseStringPath('root[\'one\ntwo\']'),
+      {
+        message: 'Invalid or unexpected token. (near column 5 up to 9)\n\nroot[\'one two\']\n     ^^^^'
+      });
+  });
+
+  it('fails if hexadecimal escape sequence is incomplete', () => {
+    assert.throws(
+      () => parseStringPath(String.raw`root['\x4']`),
+      {
+        message: 'Invalid hexadecimal escape sequence (near column 5 up to 9)\n\nroot[\'\\x4\']\n     ^^^^'
+      });
+  });
+
+  it('fails if code point is out of range', () => {
+    assert.throws(
+      () => parseStringPath(String.raw`root['\u{110000}']`),
+      {
+        message: 'Undefined Unicode code-point (near column 5 up to 14)\n\nroot[\'\\u{110000}\']\n     ^^^^^^^^^'
+      });
+  });
+
   it('fails if root access starts with a digit', () => {
     assert.throws(
       () => parseStringPath('0root'),
       {
-        message: 'Unexpected character. (near column 0)'
+        message: 'Unexpected character. Expected identifier. (near column 0)\n\n0root\n^'
       });
   });
 
@@ -76,15 +410,58 @@ describe('StringPathParser', () => {
     assert.throws(
       () => parseStringPath('[0]'),
       {
-        message: 'Unexpected character. (near column 0)'
+        message: 'Unexpected character. Expected identifier. (near column 0)\n\n[0]\n^'
+      });
+  });
+
+  it('parses reference', () => {
+    assert.deepStrictEqual(parseStringPath('root[figaro]'), ['root', new Reference(['figaro'], 5, 11)]);
+    assert.deepStrictEqual(parseStringPath('root[a.b[c]].d'), ['root', new Reference(['a', 'b', new Reference(['c'], 9, 10)], 5, 11), 'd']);
+  });
+
+  it('parses multi-property selection', () => {
+    assert.deepStrictEqual(parseStringPath('user.{name,email}'), ['user', new Pick(['name', 'email'])]);
+    assert.deepStrictEqual(parseStringPath('user.{ name, "first name", 0 }'), ['user', new Pick(['name', 'first name', 0])]);
+    assert.deepStrictEqual(parseStringPath('users[*]?.{id}'), ['users', new Wildcard(), new OptionalChain(), new Pick(['id'])]);
+  });
+
+  it('fails if multi-property selection is not the last segment', () => {
+    assert.throws(
+      () => parseStringPath('user.{name,email}.length'),
+      {
+        message: 'Unexpected character. Expected end of input. (near column 17)\n\nuser.{name,email}.length\n                 ^'
+      });
+  });
+
+  it('fails if multi-property selection is not closed', () => {
+    assert.throws(
+      () => parseStringPath('user.{name email}'),
+      {
+        message: 'Unexpected character. Expected "," or "}". (near column 11)\n\nuser.{name email}\n           ^'
+      });
+  });
+
+  it('fails if bracket notation contains something else', () => {
+    assert.throws(
+      () => parseStringPath('root[%]'),
+      {
+        message: 'Unexpected character. Expected number, string, identifier, "*", ":" or "?(". (near column 5)\n\nroot[%]\n     ^'
       });
   });
 
-  it('fails if bracket notation contains a word', () => {
+  it('fails if reference is not closed', () => {
     assert.throws(
-      () => parseStringPath('root[figaro]'),
+      () => parseStringPath('root[figaro'),
       {
-        message: 'Unexpected character. (near column 4 up to 5)'
+        message: 'Unexpected end of input. Expected ".", "[", "?." or "]". (near column 11)\n\nroot[figaro\n           ^'
+      });
+  });
+
+  it('fails if reference leads to multiple values', () => {
+    assert.throws(
+      () => parseStringPath('root[figaro[*]]'),
+      {
+        message: 'Reference must lead to a single value. (near column 5 up to 14)\n\nroot[figaro[*]]\n     ^^^^^^^^^'
       });
   });
 
@@ -92,7 +469,7 @@ describe('StringPathParser', () => {
     assert.throws(
       () => parseStringPath('root[0'),
       {
-        message: 'Unexpected end of input. (near column 4 up to 6)'
+        message: 'Unexpected end of input. Expected ":" or "]". (near column 6)\n\nroot[0\n      ^'
       });
   });
 
@@ -100,7 +477,7 @@ describe('StringPathParser', () => {
     assert.throws(
       () => parseStringPath('root['),
       {
-        message: 'Unexpected end of input. (near column 4 up to 5)'
+        message: 'Unexpected end of input. Expected number, string, identifier, "*", ":" or "?(". (near column 5)\n\nroot[\n     ^'
       });
   });
 
@@ -108,7 +485,7 @@ describe('StringPathParser', () => {
     assert.throws(
       () => parseStringPath('root.'),
       {
-        message: 'Unexpected end of input. (near column 4 up to 5)'
+        message: 'Unexpected end of input. Expected identifier, "*" or ":". (near column 5)\n\nroot.\n     ^'
       });
   });
 
@@ -116,7 +493,173 @@ describe('StringPathParser', () => {
     assert.throws(
       () => parseStringPath('root.0'),
       {
-        message: 'Unexpected character. (near column 5)'
+        message: 'Unexpected character. Expected identifier, "*" or ":". (near column 5)\n\nroot.0\n     ^'
       });
   });
-});
\ No newline at end of file
+
+  it('lists expected tokens and location as fields of the error', () => {
+    assert.throws(
+      () => parseStringPath('a.b[%]'),
+      {
+        name: 'VueDataObjectPathSyntaxError',
+        from: 4,
+        to: 4,
+        expected: ['number', 'string', 'identifier', '*', ':', '?('],
+      });
+  });
+
+  it('reports the furthest position that was reached', () => {
+    // The unclosed string is only found while trying alternatives.
+    assert.throws(
+      () => parseStringPath('root[?(@.name == "x)]'),
+      {
+        message: 'Unexpected end of input. Expected \'"\'. (near column 21)\n\nroot[?(@.name == "x)]\n                     ^',
+        expected: ['"'],
+      });
+  });
+
+  it('leaves expected tokens empty for errors that are not about unexpected input', () => {
+    assert.throws(
+      () => parseStringPath('root[1:3:0]'),
+      {
+        expected: [],
+      });
+  });
+
+  describe('parsePathAst', () => {
+    it('describes every segment', () => {
+      assert.deepStrictEqual(parsePathAst(`user.tags[0]["first name"]`), [
+        { kind: 'root', value: 'user', from: 0, to: 4 },
+        { kind: 'dot', value: 'tags', from: 4, to: 9 },
+        { kind: 'bracketNumber', value: 0, from: 9, to: 12 },
+        { kind: 'bracketString', value: 'first name', from: 12, to: 26 },
+      ]);
+    });
+
+    it('decodes escape sequences', () => {
+      assert.deepStrictEqual(parsePathAst(String.raw`a['\x62'].c`), [
+        { kind: 'root', value: 'a', from: 0, to: 1 },
+        { kind: 'bracketString', value: 'b', from: 1, to: 9 },
+        { kind: 'dot', value: 'c', from: 9, to: 11 },
+      ]);
+    });
+
+    it('describes selectors', () => {
+      let kinds = parsePathAst('a..b[*][1:][?(@.c)].*').map(node => node.kind);
+
+      assert.deepStrictEqual(kinds, ['root', 'descendants', 'dot', 'wildcard', 'slice', 'filter', 'wildcard']);
+    });
+
+    it('describes multi-property selection', () => {
+      assert.deepStrictEqual(parsePathAst('user.{a,b}'), [
+        { kind: 'root', value: 'user', from: 0, to: 4 },
+        { kind: 'pick', value: new Pick(['a', 'b']), from: 4, to: 10 },
+      ]);
+    });
+
+    it('describes reference', () => {
+      assert.deepStrictEqual(parsePathAst('tabs[active]'), [
+        { kind: 'root', value: 'tabs', from: 0, to: 4 },
+        { kind: 'reference', value: new Reference(['active'], 5, 11), from: 4, to: 12 },
+      ]);
+    });
+
+    it('fails like parseStringPath', () => {
+      assert.throws(
+        () => parsePathAst('a.'),
+        {
+          name: 'VueDataObjectPathSyntaxError',
+          expected: ['identifier', '*', ':'],
+        });
+    });
+
+    it('fails on dialects other than javascript', () => {
+      assert.throws(
+        () => parsePathAst('a', { dialect: 'lodash' }),
+        {
+          name: 'VueDataObjectPathError',
+          message: 'Only paths in the javascript dialect can be described.'
+        });
+
+      assert.throws(
+        () => parsePathAst('a', { dialect: 'nope' }),
+        {
+          name: 'VueDataObjectPathError',
+          message: 'Unknown path dialect nope.'
+        });
+    });
+  });
+
+  describe('parsePartialPath', () => {
+    it('considers word at the end incomplete', () => {
+      assert.deepStrictEqual(parsePartialPath('user.addr'), {
+        path: ['user'],
+        partial: { kind: 'dot', text: 'addr', from: 4 },
+      });
+
+      assert.deepStrictEqual(parsePartialPath('use'), {
+        path: [],
+        partial: { kind: 'root', text: 'use', from: 0 },
+      });
+    });
+
+    it('describes segment that ended too soon', () => {
+      assert.deepStrictEqual(parsePartialPath('items[0].'), {
+        path: ['items', 0],
+        partial: { kind: 'dot', text: '', from: 8 },
+      });
+
+      assert.deepStrictEqual(parsePartialPath('items[1'), {
+        path: ['items'],
+        partial: { kind: 'bracket', text: '1', from: 5 },
+      });
+
+      assert.deepStrictEqual(parsePartialPath('items["fir'), {
+        path: ['items'],
+        partial: { kind: 'bracketString', text: 'fir', from: 5 },
+      });
+
+      assert.deepStrictEqual(parsePartialPath(''), {
+        path: [],
+        partial: { kind: 'root', text: '', from: 0 },
+      });
+    });
+
+    it('returns complete path', () => {
+      assert.deepStrictEqual(parsePartialPath('items[0]'), {
+        path: ['items', 0],
+        partial: null,
+      });
+    });
+
+    it('fails if more input would not fix the path', () => {
+      assert.throws(
+        () => parsePartialPath('items.0.'),
+        {
+          name: 'VueDataObjectPathSyntaxError',
+          from: 6,
+        });
+    });
+
+    it('reads paths like lodash', () => {
+      assert.deepStrictEqual(parsePartialPath('a.0.n', { dialect: 'lodash' }), {
+        path: ['a', '0'],
+        partial: { kind: 'dot', text: 'n', from: 3 },
+      });
+
+      assert.deepStrictEqual(parsePartialPath('a[0]', { dialect: 'lodash' }), {
+        path: ['a', '0'],
+        partial: null,
+      });
+    });
+
+    it('fails on unknown dialect', () => {
+      assert.throws(
+        () => parsePartialPath('a', { dialect: 'nope' }),
+        {
+          name: 'VueDataObjectPathError',
+          message: 'Unknown path dialect nope.'
+        });
+    });
+  });
+});
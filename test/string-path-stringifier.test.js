@@ -0,0 +1,181 @@
+const assert = require('assert');
+const { stringifyPath, normalizePath } = require('../src/string-path-stringifier');
+const { parseStringPath } = require('../src/string-path-parser');
+const { Wildcard, Descendants, Slice, Filter, Placeholder, OptionalChain, Reference, Pick } = require('../src/path-segments');
+
+describe('StringPathStringifier', () => {
+  describe('stringifyPath', () => {
+    it('writes root access', () => {
+      assert.strictEqual(stringifyPath(['root']), 'root');
+    });
+
+    it('writes identifiers in dot notation', () => {
+      assert.strictEqual(stringifyPath(['root', 'first', 'café', '$_']), 'root.first.café.$_');
+    });
+
+    it('writes numbers in bracket notation', () => {
+      assert.strictEqual(stringifyPath(['root', 0, -1]), 'root[0][-1]');
+    });
+
+    it('writes keys that are not identifiers as strings in bracket notation', () => {
+      assert.strictEqual(stringifyPath(['root', 'one two', '0', '*', '']), 'root["one two"]["0"]["*"][""]');
+    });
+
+    it('escapes characters in strings', () => {
+      assert.strictEqual(stringifyPath(['root', 'a"b\\c\nd\u0001\u2028']), String.raw`root["a\"b\\c\nd\x01\u2028"]`);
+    });
+
+    it('writes lone surrogates as escape sequences', () => {
+      assert.strictEqual(stringifyPath(['root', '\uD83D.\u{1F600}']), 'root["\\uD83D.\u{1F600}"]');
+    });
+
+    it('writes wildcards, recursive descent and slices', () => {
+      assert.strictEqual(stringifyPath(['root', new Wildcard(), new Descendants(), 'id']), 'root[*]..id');
+      assert.strictEqual(stringifyPath(['root', new Descendants(), 0]), 'root..[0]');
+      assert.strictEqual(stringifyPath(['root', new Slice(1, -1), new Slice(null, null, 2)]), 'root[1:-1][::2]');
+    });
+
+    it('writes optional chaining', () => {
+      assert.strictEqual(stringifyPath(['a', new OptionalChain(), 'b', new OptionalChain(), 0]), 'a?.b?.[0]');
+    });
+
+    it('fails when optional chaining is not followed by a key', () => {
+      assert.throws(
+        () => stringifyPath(['a', new OptionalChain()]),
+        {
+          message: 'Optional chaining must be followed by a key.'
+        });
+    });
+
+    it('writes placeholders', () => {
+      assert.strictEqual(stringifyPath(['rows', new Placeholder('row'), 'price']), 'rows[:row].price');
+      assert.strictEqual(stringifyPath(['users', new Placeholder('id', 'dot')]), 'users.:id');
+      assert.strictEqual(stringifyPath([new Placeholder('key', 'dot'), 'name']), ':key.name');
+    });
+
+    it('writes multi-property selection', () => {
+      assert.strictEqual(stringifyPath(['user', new Pick(['name', 'first name', 0])]), 'user.{name,"first name",0}');
+      assert.strictEqual(normalizePath('user.{ name , email }'), 'user.{name,email}');
+    });
+
+    it('fails when multi-property selection is not the last segment', () => {
+      assert.throws(
+        () => stringifyPath(['user', new Pick(['a']), 'b']),
+        {
+          message: 'Multi-property selection must be the last segment.'
+        });
+    });
+
+    it('writes references', () => {
+      assert.strictEqual(stringifyPath(['tabs', new Reference(['state', 'activeTabId']), 'title']), 'tabs[state.activeTabId].title');
+      assert.strictEqual(normalizePath('a[b["c"][d]]'), 'a[b.c[d]]');
+    });
+
+    it('fails when reference starts with placeholder', () => {
+      assert.throws(
+        () => stringifyPath(['a', new Reference([new Placeholder('b', 'dot')])]),
+        {
+          message: 'The first key of a reference cannot be a placeholder.'
+        });
+    });
+
+    it('writes filters', () => {
+      let path = parseStringPath('root[?(@.a == 1 && (@.b[0] != "x" || @.c))]');
+
+      assert.strictEqual(stringifyPath(path), 'root[?(@.a == 1 && (@.b[0] != "x" || @.c))]');
+    });
+
+    it('is the inverse of parseStringPath', () => {
+      let paths = [
+        ['root', 'a', 0, 'with space', 'quote\'"', '\u{1F600}', -3],
+        ['root', new Filter({
+          type: 'logical',
+          operator: '||',
+          left: { type: 'literal', value: true },
+          right: {
+            type: 'logical',
+            operator: '||',
+            left: { type: 'literal', value: -1.5 },
+            right: { type: 'literal', value: null },
+          },
+        })],
+      ];
+
+      for (let path of paths) {
+        assert.deepStrictEqual(parseStringPath(stringifyPath(path)), path);
+      }
+    });
+
+    it('fails when root cannot be written in dot notation', () => {
+      assert.throws(
+        () => stringifyPath(['one two']),
+        {
+          message: 'The first key of the path must be written in dot notation.'
+        });
+
+      assert.throws(
+        () => stringifyPath([0]),
+        {
+          message: 'The first key of the path must be written in dot notation.'
+        });
+    });
+
+    it('fails when number is not a safe integer', () => {
+      assert.throws(
+        () => stringifyPath(['root', 1.5]),
+        {
+          message: 'Only safe integers can be written as indexes.'
+        });
+
+      assert.throws(
+        () => stringifyPath(['root', 1e20]),
+        {
+          message: 'Only safe integers can be written as indexes.'
+        });
+    });
+
+    it('fails when filter is a function', () => {
+      assert.throws(
+        () => stringifyPath(['root', new Filter(() => true)]),
+        {
+          message: 'Filter functions cannot be written as a string.'
+        });
+    });
+
+    it('fails when recursive descent is not followed by a key', () => {
+      assert.throws(
+        () => stringifyPath(['root', new Descendants()]),
+        {
+          message: 'Recursive descent must be followed by a key.'
+        });
+    });
+
+    it('fails when path is empty', () => {
+      assert.throws(
+        () => stringifyPath([]),
+        {
+          message: 'Path must not be empty.'
+        });
+    });
+  });
+
+  describe('normalizePath', () => {
+    it('makes equivalent paths equal', () => {
+      assert.strictEqual(normalizePath('a["b"][0]'), normalizePath('a.b[0]'));
+      assert.strictEqual(normalizePath(`a['b c']`), normalizePath('a["b c"]'));
+      assert.strictEqual(normalizePath('a.*'), normalizePath('a[*]'));
+    });
+
+    it('returns canonical form', () => {
+      assert.strictEqual(normalizePath(String.raw`a['\x62']["c"]`), 'a.b.c');
+    });
+
+    it('fails like parseStringPath on indexes that are not safe integers', () => {
+      assert.throws(
+        () => normalizePath('a[99999999999999999999]'),
+        {
+          name: 'VueDataObjectPathSyntaxError',
+        });
+    });
+  });
+});
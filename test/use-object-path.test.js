@@ -0,0 +1,135 @@
+const assert = require('assert');
+const Vue = require('vue');
+const Vue3 = require('vue3');
+const VueDataObjectPath = require('..');
+const { useObjectPath } = VueDataObjectPath;
+
+Vue.use(VueDataObjectPath);
+
+// @vue/composition-api needs Vue.observable, which appeared in Vue 2.6.
+const hasCompositionApi = Number(Vue.version.split('.')[1]) >= 6;
+
+(hasCompositionApi ? describe : describe.skip)('useObjectPath with @vue/composition-api', () => {
+  let CompositionApi;
+
+  before(() => {
+    CompositionApi = require('@vue/composition-api');
+    Vue.use(CompositionApi.default);
+  });
+
+  it('works on reactive object', () => {
+    let state = CompositionApi.reactive({ user: { name: 'Alice' } });
+    let op = useObjectPath(state);
+
+    let email = CompositionApi.computed(() => op.get('user.email'));
+
+    assert.strictEqual(op.get('user.name'), 'Alice');
+    assert.strictEqual(email.value, undefined);
+
+    op.set('user.email', 'alice@example.com');
+
+    assert.strictEqual(email.value, 'alice@example.com');
+  });
+
+  it('adds properties at the root level reactively', () => {
+    let state = CompositionApi.reactive({});
+    let op = useObjectPath(state);
+
+    let name = CompositionApi.computed(() => op.get('user.name'));
+
+    assert.strictEqual(name.value, undefined);
+
+    op.set('user.name', 'Alice');
+
+    assert.strictEqual(name.value, 'Alice');
+
+    op.delete('user');
+
+    assert.strictEqual(name.value, undefined);
+    assert.strictEqual('user' in state, false);
+  });
+
+  it('works on ref', () => {
+    let state = CompositionApi.ref({ list: [] });
+    let op = useObjectPath(state);
+
+    let length = CompositionApi.computed(() => op.get('list').length);
+
+    assert.strictEqual(length.value, 0);
+
+    op.push('list', 1);
+
+    assert.strictEqual(length.value, 1);
+
+    state.value = { list: [1, 2] };
+
+    assert.strictEqual(op.get('list[1]'), 2);
+  });
+
+  it('does not mistake sealed object for ref', () => {
+    let state = CompositionApi.reactive(Object.seal({ value: { a: 1 } }));
+    let op = useObjectPath(state);
+
+    assert.strictEqual(op.get('value.a'), 1);
+  });
+});
+
+describe('useObjectPath with Vue 3', () => {
+  it('works on reactive object', () => {
+    let state = Vue3.reactive({ user: { name: 'Alice' } });
+    let op = useObjectPath(state);
+
+    let email = Vue3.computed(() => op.get('user.email'));
+
+    assert.strictEqual(email.value, undefined);
+
+    op.set('user.email', 'alice@example.com');
+
+    assert.strictEqual(email.value, 'alice@example.com');
+  });
+
+  it('adds properties at the root level reactively', () => {
+    let state = Vue3.reactive({});
+    let op = useObjectPath(state);
+
+    let tags = Vue3.computed(() => op.get('tags'));
+
+    assert.strictEqual(tags.value, undefined);
+
+    op.push('tags', 'a');
+
+    assert.deepStrictEqual(tags.value.slice(), ['a']);
+
+    op.empty('tags');
+
+    assert.deepStrictEqual(tags.value.slice(), []);
+  });
+
+  it('works on ref', () => {
+    let state = Vue3.ref({ a: { b: 1 } });
+    let op = useObjectPath(state);
+
+    let value = Vue3.computed(() => op.coalesce('a.c', 'a.b'));
+
+    assert.strictEqual(value.value, 1);
+
+    op.set('a.c', 2);
+
+    assert.strictEqual(value.value, 2);
+
+    state.value = { a: { b: 3 } };
+
+    assert.strictEqual(value.value, 3);
+    assert.strictEqual(op.has('a.c'), false);
+  });
+});
+
+describe('useObjectPath', () => {
+  it('fails when target is not an object', () => {
+    assert.throws(
+      () => useObjectPath(null),
+      {
+        message: 'Target must be a reactive object or a ref.'
+      });
+  });
+});
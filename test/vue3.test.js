@@ -0,0 +1,199 @@
+const assert = require('assert');
+const { createApp, computed, reactive } = require('vue3');
+const { renderToString } = require('vue3/server-renderer');
+const VueDataObjectPath = require('..');
+
+/**
+ * Creates a Vue 3 component with the plugin installed. Rendering it on the
+ * server runs its lifecycle without a DOM.
+ * @param {object} component
+ * @returns {Promise<object>} The public instance of the component.
+ */
+async function mount(component) {
+  let vm;
+
+  let app = createApp(Object.assign({
+    created() {
+      vm = this;
+    },
+
+    render() {
+      return null;
+    }
+  }, component));
+
+  app.use(VueDataObjectPath);
+
+  await renderToString(app);
+
+  return vm;
+}
+
+describe('Vue 3', () => {
+  it('registers properties in globalProperties', () => {
+    let app = createApp({});
+
+    app.use(VueDataObjectPath);
+
+    assert.strictEqual('$op' in app.config.globalProperties, true);
+    assert.strictEqual('$objectPath' in app.config.globalProperties, true);
+  });
+
+  it('creates one instance per component', async () => {
+    let first = await mount({});
+    let second = await mount({});
+
+    assert.strictEqual(first.$op, first.$objectPath);
+    assert.notStrictEqual(first.$op, second.$op);
+  });
+
+  it('installs once per application', () => {
+    let app = createApp({});
+
+    VueDataObjectPath.install(app);
+    VueDataObjectPath.install(app);
+
+    assert.strictEqual(app._context.mixins.length, 1);
+  });
+
+  it('retrieves value', async () => {
+    let vm = await mount({
+      data() {
+        return { a: { b: ['c'] } };
+      }
+    });
+
+    assert.strictEqual(vm.$op.get('a.b[0]'), 'c');
+  });
+
+  it('sets new property reactively', async () => {
+    let vm = await mount({
+      data() {
+        return { a: {} };
+      }
+    });
+
+    let value = computed(() => vm.$op.get('a.b.c'));
+
+    assert.strictEqual(value.value, undefined);
+
+    vm.$op.set('a.b.c', 1);
+
+    assert.deepStrictEqual(vm.a, { b: { c: 1 } });
+    assert.strictEqual(value.value, 1);
+  });
+
+  it('sets element of array reactively', async () => {
+    let vm = await mount({
+      data() {
+        return { list: ['a', 'b'] };
+      }
+    });
+
+    let value = computed(() => vm.$op.get('list[1]'));
+
+    assert.strictEqual(value.value, 'b');
+
+    vm.$op.set('list[1]', 'c');
+
+    assert.strictEqual(value.value, 'c');
+  });
+
+  it('deletes property reactively', async () => {
+    let vm = await mount({
+      data() {
+        return { a: { b: 1, c: 2 } };
+      }
+    });
+
+    let keys = computed(() => Object.keys(vm.$op.get('a')));
+
+    assert.deepStrictEqual(keys.value, ['b', 'c']);
+
+    vm.$op.delete('a.b');
+
+    assert.deepStrictEqual(keys.value, ['c']);
+  });
+
+  it('deletes element of array without resizing it', async () => {
+    let vm = await mount({
+      data() {
+        return { list: ['a', 'b', 'c'] };
+      }
+    });
+
+    let value = computed(() => vm.$op.get('list[1]'));
+
+    assert.strictEqual(value.value, 'b');
+
+    vm.$op.delete('list[1]');
+
+    assert.strictEqual(vm.list.length, 3);
+    assert.strictEqual(1 in vm.list, false);
+    assert.strictEqual(value.value, undefined);
+  });
+
+  it('changes arrays reactively', async () => {
+    let vm = await mount({
+      data() {
+        return { a: {} };
+      }
+    });
+
+    let length = computed(() => vm.$op.has('a.list') ? vm.$op.get('a.list').length : 0);
+
+    assert.strictEqual(length.value, 0);
+
+    vm.$op.push('a.list', 1, 2);
+
+    assert.strictEqual(length.value, 2);
+
+    vm.$op.empty('a.list');
+
+    assert.strictEqual(length.value, 0);
+  });
+
+  it('empties object reactively', async () => {
+    let vm = await mount({
+      data() {
+        return { a: { b: 1 } };
+      }
+    });
+
+    let keys = computed(() => Object.keys(vm.$op.get('a')));
+
+    assert.deepStrictEqual(keys.value, ['b']);
+
+    vm.$op.empty('a');
+
+    assert.deepStrictEqual(keys.value, []);
+  });
+
+  it('works on reactive object without Vue option', () => {
+    let store = reactive({});
+    let op = VueDataObjectPath.for(store);
+
+    let name = computed(() => op.get('user.name'));
+
+    assert.strictEqual(name.value, undefined);
+
+    op.set('user.name', 'Alice');
+
+    assert.strictEqual(name.value, 'Alice');
+  });
+
+  it('throws the same errors', async () => {
+    let vm = await mount({
+      data() {
+        return { a: {} };
+      }
+    });
+
+    assert.throws(
+      () => vm.$op.set('b', 1),
+      {
+        name: 'VueDataObjectPathError',
+        message: 'Vue does not support dynamic properties at the root level. Either explicitly declare the property or use a nested object.'
+      });
+  });
+});
@@ -0,0 +1,60 @@
+const assert = require('assert');
+const Vue3 = require('vue3');
+const Pinia = require('pinia');
+const { createPiniaPlugin } = require('../..');
+
+// Pinia finds Vue through vue-demi, which is set up for one version of Vue at
+// a time. These tests run on their own, after test.sh switches it to Vue 3.
+describe('createPiniaPlugin with Vue 3', () => {
+  /**
+   * Creates a store with the plugin in a Vue 3 application.
+   * @param {object} state
+   * @returns {Store}
+   */
+  function createStore(state) {
+    let pinia = Pinia.createPinia();
+
+    Vue3.createApp({}).use(pinia);
+    pinia.use(createPiniaPlugin());
+
+    return Pinia.defineStore('test', { state: () => state })(pinia);
+  }
+
+  it('changes state reactively', () => {
+    let store = createStore({ user: {} });
+
+    let name = Vue3.computed(() => store.$op.get('user.name'));
+    let tags = Vue3.computed(() => store.$op.get('tags'));
+
+    assert.strictEqual(name.value, undefined);
+    assert.strictEqual(tags.value, undefined);
+
+    store.$op.set('user.name', 'Alice');
+    store.$op.push('tags', 'a');
+
+    assert.strictEqual(name.value, 'Alice');
+    assert.deepStrictEqual(tags.value.slice(), ['a']);
+    assert.strictEqual(store.user.name, 'Alice');
+  });
+
+  it('does not wrap $op in a proxy', () => {
+    let store = createStore({});
+
+    assert.strictEqual(Vue3.isProxy(store.$op), false);
+  });
+
+  it('notifies listeners once per operation with path in payload', () => {
+    let store = createStore({ user: {} });
+    let mutations = [];
+
+    store.$subscribe(mutation => mutations.push(mutation), { flush: 'sync' });
+
+    store.$op.set('user.address.street', 'Main');
+    store.$op.delete('user.address');
+
+    assert.deepStrictEqual(mutations.map(mutation => [mutation.type, mutation.payload]), [
+      ['patch function', { method: 'set', path: 'user.address.street', value: 'Main', bindings: {} }],
+      ['patch function', { method: 'delete', path: 'user.address', bindings: {} }],
+    ]);
+  });
+});
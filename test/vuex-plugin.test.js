@@ -0,0 +1,140 @@
+const assert = require('assert');
+const Vue = require('vue');
+const Vuex = require('vuex');
+const VueDataObjectPath = require('..');
+const { createVuexPlugin } = VueDataObjectPath;
+
+Vue.use(Vuex);
+Vue.use(VueDataObjectPath);
+
+/**
+ * Creates a store with the plugin.
+ * @param {object} state
+ * @param {object=} options - Options of the plugin.
+ * @returns {Vuex.Store}
+ */
+function createStore(state, options = {}) {
+  return new Vuex.Store({
+    strict: true,
+    state,
+    plugins: [createVuexPlugin(options)],
+  });
+}
+
+describe('createVuexPlugin', () => {
+  it('commits changes in strict mode', () => {
+    let store = createStore({ user: {} });
+
+    assert.strictEqual(store.$op, store.$objectPath);
+
+    assert.strictEqual(store.$op.set('user.address.street', 'Main'), true);
+    assert.deepStrictEqual(store.state.user, { address: { street: 'Main' } });
+
+    store.$op.delete('user.address');
+    assert.deepStrictEqual(store.state.user, {});
+  });
+
+  it('names path and arguments in mutation payload', () => {
+    let store = createStore({ user: {} });
+    let mutations = [];
+
+    store.subscribe(mutation => mutations.push(mutation));
+
+    store.$op.set('user.name', 'Alice');
+    store.$op.push('user.tags', 'a');
+
+    assert.deepStrictEqual(mutations, [
+      { type: 'objectPath/set', payload: { path: 'user.name', value: 'Alice', bindings: {} } },
+      { type: 'objectPath/push', payload: { path: 'user.tags', items: ['a'], bindings: {} } },
+    ]);
+  });
+
+  it('returns value of each commit when commits are nested', () => {
+    let store = createStore({ list: [], log: [] });
+
+    store.subscribe((mutation) => {
+      if (mutation.payload.path === 'list') {
+        store.$op.push('log', 'a', 'b', 'c', 'd');
+      }
+    });
+
+    assert.strictEqual(store.$op.push('list', 1), 1);
+    assert.strictEqual(store.$op.pop('list'), 1);
+  });
+
+  it('does not add the module to the state', () => {
+    let store = createStore({ objectPath: 'mine' });
+
+    assert.deepStrictEqual(Object.keys(store.state), ['objectPath']);
+    assert.strictEqual(store.state.objectPath, 'mine');
+
+    store.$op.set('objectPath', 'changed');
+
+    assert.strictEqual(store.state.objectPath, 'changed');
+  });
+
+  it('binds placeholders', () => {
+    let store = createStore({ rows: [{ cells: [] }] });
+    let mutations = [];
+
+    store.subscribe(mutation => mutations.push(mutation.payload.bindings));
+
+    let row = store.$op.bind({ i: 0 });
+
+    assert.strictEqual(row.push('rows[:i].cells', 'a'), 1);
+    assert.strictEqual(row.get('rows[:i].cells[0]'), 'a');
+    assert.strictEqual(row.push('rows[:i].cells', 'b'), 2);
+    assert.deepStrictEqual(row.splice('rows[:i].cells', 0, 1), ['a']);
+    assert.strictEqual(store.$op.pop('rows[:i].cells', { i: 0 }), 'b');
+
+    assert.deepStrictEqual(mutations, [{ i: 0 }, { i: 0 }, { i: 0 }, { i: 0 }]);
+  });
+
+  it('compiles paths', () => {
+    let store = createStore({ rows: [{}] });
+    let mutations = [];
+
+    store.subscribe(mutation => mutations.push(mutation.type));
+
+    let name = store.$op.compile('rows[:i].name');
+
+    assert.strictEqual(name.set('Alice', { i: 0 }), true);
+    assert.strictEqual(name.get({ i: 0 }), 'Alice');
+    assert.strictEqual(name.has({ i: 0 }), true);
+    assert.deepStrictEqual(mutations, ['objectPath/set']);
+  });
+
+  it('lets mutations be committed directly', () => {
+    let store = createStore({ user: {} });
+
+    store.commit('objectPath/set', { path: 'user.name', value: 'Alice' });
+
+    assert.strictEqual(store.state.user.name, 'Alice');
+  });
+
+  it('is reactive', () => {
+    let store = createStore({ user: {} });
+
+    let vue = new Vue({
+      computed: {
+        name() {
+          return store.$op.get('user.name');
+        }
+      }
+    });
+
+    assert.strictEqual(vue.name, undefined);
+
+    store.$op.set('user.name', 'Alice');
+
+    assert.strictEqual(vue.name, 'Alice');
+  });
+
+  it('registers mutations in the given namespace', () => {
+    let store = createStore({ a: {} }, { namespace: 'paths' });
+
+    store.commit('paths/set', { path: 'a.b', value: 1 });
+
+    assert.strictEqual(store.state.a.b, 1);
+  });
+});